@@ -4,20 +4,95 @@ import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, Resp
 import { AuthProvider, useAuth } from './services/AuthContext';
 import { 
   getTransactions, 
-  addTransaction as addSupabaseTransaction, 
   getRecurringPayments as getSupabaseRecurringPayments,
-  addRecurringPayment as addSupabaseRecurringPayment,
   getBillReminders as getSupabaseBillReminders,
-  addBillReminder as addSupabaseBillReminder,
-  updateRecurringPayment,
-  updateBillReminder,
-  deleteRecurringPayment,
-  deleteBillReminder,
-  getAccountInfo as getSupabaseAccountInfo,
-  createAccount as createSupabaseAccount,
-  updateAccount as updateSupabaseAccount,
-  deleteTransaction as deleteSupabaseTransaction
+  getScheduledTransactions,
+  getRecurringPaymentRuns,
+  getBillPayments,
+  getNotifications,
+  getAccounts,
+  getAccountReconciliation,
+  postBalanceAdjustment,
+  syncLocalDataToSupabase
 } from './services/supabaseDataClient';
+import {
+  isCashflow,
+  getLedgerBalance,
+  withRunningBalance,
+  getOpeningBalanceEntry,
+  filterByAccount,
+  getBalancesByAccount,
+  formatTimeOfDay,
+  roundMoney,
+  ACCOUNT_TYPES
+} from './services/ledger';
+import {
+  isTransfer,
+  buildTransferLegs,
+  getTransferLegs,
+  toTransferPayload,
+  applyPendingTransfers
+} from './services/transfers';
+import {
+  parseCSV,
+  guessMapping,
+  mapRows,
+  DATE_FORMATS,
+  DECIMAL_FORMATS,
+  DEFAULT_CATEGORY
+} from './services/csvImport';
+import { parseOFX } from './services/ofxParser';
+import { parseQIF } from './services/qifParser';
+import { flagDuplicates, DEFAULT_DAY_WINDOW } from './services/duplicateMatcher';
+import {
+  createBackup,
+  isBackup,
+  verifyBackup,
+  planRestore,
+  BACKUP_TABLES,
+  BACKUP_TABLE_LABELS,
+  RESTORE_MODES
+} from './services/backup';
+import { postTransaction, postDueScheduledTransactions, postDueRecurringPayments, toRecurringTransaction, setNextDate, recordRun, skipNextOccurrence, setPaused } from './services/scheduler';
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+  notifyDueBills,
+  notificationsSupported,
+  requestNotificationPermission,
+  simulatePush,
+  billReminderStage,
+  DEFAULT_LEAD_DAYS,
+  PAY_BILL_ACTION
+} from './services/billNotifications';
+import {
+  deriveNotifications,
+  recurringPostedNotifications,
+  saveNotifications,
+  markNotificationsRead,
+  isUnread,
+  NOTIFICATION_KINDS,
+  DEFAULT_LOW_BALANCE,
+  DEFAULT_LARGE_TRANSACTION
+} from './services/notifications';
+import { billAfterPayment, billHistory, billRemaining, billStatus, isRecurringBill, nextBillReminder, BILL_STATUS_LABELS } from './services/bills';
+import { buildRule, describeRule, formatRule, frequencyOf, nextDueDate, occurrences, parseRule, paymentOccurrencesBetween, paymentRule, paymentStart, MONTHLY_POSITIONS } from './services/recurrence';
+import { buildStatement, statementFileName } from './services/statement';
+import { generateStatementPdf } from './services/statementPdf';
+import { statementToCSV, statementToXLSX } from './services/statementExport';
+import { encryptBackup, decryptBackup, isEncryptedBackup, MIN_PASSPHRASE_LENGTH } from './services/backupCrypto';
+import {
+  mutateOrQueue,
+  flushOutbox,
+  getOutboxEntries,
+  subscribeOutbox,
+  applyPendingMutations,
+  getSyncStatusById,
+  retryFailedMutations,
+  discardFailedMutations
+} from './services/outbox';
+import { readCachedRows, writeCachedRows, clearCachedRows } from './services/dataCache';
+import { registerPeriodicRefresh, unregisterPeriodicRefresh } from './services/backgroundSync';
 import SplashScreen from './components/SplashScreen';
 import LoginScreen from './components/LoginScreen';
 import SignupScreen from './components/SignupScreen';
@@ -179,6 +254,16 @@ const BackButton = ({ onClick, label = "Back" }) => (
   <button onClick={onClick} className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline">← {label}</button>
 );
 
+// Shown next to rows that only exist locally until the outbox has synced them
+const SyncBadge = ({ status }) => {
+  if (!status) return null;
+  return status === "failed" ? (
+    <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-medium bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200">Sync failed</span>
+  ) : (
+    <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-100 text-amber-700 dark:bg-amber-900 dark:text-amber-200">Pending sync</span>
+  );
+};
+
 function Modal({ open, onClose, title, children, danger = false }) {
   return (
     <AnimatePresence>
@@ -206,6 +291,13 @@ function AppContent() {
   const [transactions, setTransactions] = useState([]); // empty for new users
   const [recurringPayments, setRecurringPayments] = useState([]);
   const [billReminders, setBillReminders] = useState([]);
+  const [scheduledTransactions, setScheduledTransactions] = useState([]); // One-off transactions waiting for their date
+  const [recurringRuns, setRecurringRuns] = useState([]); // Posted, skipped and failed recurring payment occurrences
+  const [billPayments, setBillPayments] = useState([]); // Payments made against bills, in parts or in full
+  const [payingBillId, setPayingBillId] = useState(null); // Bill open in the pay dialog
+  const [focusedBillId, setFocusedBillId] = useState(null); // Bill opened from a notification
+  const [notificationSettings, setNotificationSettings] = useState(null); // { enabled, leadDays, lowBalance, largeTransaction }
+  const [notifications, setNotifications] = useState(null); // The bell's feed, newest first; null until loaded
   const [showLogout, setShowLogout] = useState(false);
   const [showDelete, setShowDelete] = useState(false);
   const [confirmPw, setConfirmPw] = useState("");
@@ -213,13 +305,25 @@ function AppContent() {
   const [theme, setTheme] = useState('light'); // 'light' or 'dark'
   const [profileImage, setProfileImage] = useState(null);
   const [showBalance, setShowBalance] = useState(true);
-  const [balance, setBalance] = useState(0);
-  const [accountNumber, setAccountNumber] = useState('');
-  const [accountId, setAccountId] = useState(null); // To store the account ID from Supabase
+  const [accounts, setAccounts] = useState([]); // Savings, current, credit card, cash wallet...
+  const [activeAccountId, setActiveAccountId] = useState(null); // null shows all accounts together
+  const activeAccount = accounts.find(a => a.id === activeAccountId) || null;
+  // New transactions go to the selected account, or the first one in the consolidated view
+  const postingAccountId = activeAccount?.id || accounts[0]?.id || null;
+  const accountTransactions = useMemo(() => filterByAccount(transactions, activeAccount?.id), [transactions, activeAccount]);
+  // What the selected account's transactions add up to
+  const ledgerBalance = useMemo(() => getLedgerBalance(accountTransactions), [accountTransactions]);
   const [showBalancePopup, setShowBalancePopup] = useState(false);
-  const [newBalance, setNewBalance] = useState('');
   const [dataSynced, setDataSynced] = useState(false); // New state to track if data has been synced
   const [phone, setPhone] = useState(''); // Add phone state
+  const [launchAction, setLaunchAction] = useState(null); // App shortcut action, e.g. 'add-transaction'
+  const [importFile, setImportFile] = useState(null); // { name, format, text } of a statement open in the import wizard
+  const [pendingRestore, setPendingRestore] = useState(null); // Verified backup waiting for the user to pick restore modes
+  const [lockedBackup, setLockedBackup] = useState(null); // Encrypted backup waiting for its passphrase
+  const [showBackupDialog, setShowBackupDialog] = useState(false);
+  const [outboxEntries, setOutboxEntries] = useState([]); // Writes waiting to be synced to Supabase
+  const syncStatus = useMemo(() => getSyncStatusById(outboxEntries), [outboxEntries]);
+  const periodicRefreshEnabled = useRef(false); // Whether the service worker prefetches data for us
   
   const { user, signOut } = useAuth();
 
@@ -275,11 +379,69 @@ function AppContent() {
     }
   }, [profileImage, phone]);
 
+  // Remember the selected account between visits
+  useEffect(() => {
+    if (activeAccountId) {
+      localStorage.setItem('activeAccountId', activeAccountId);
+    } else {
+      localStorage.removeItem('activeAccountId');
+    }
+  }, [activeAccountId]);
+
   // Initialize database
   useEffect(() => {
     openDB().catch(console.error);
   }, []);
 
+  // Track the outbox and replay it whenever the connection comes back or the
+  // app is brought to the foreground. This is also the fallback for browsers
+  // without Background Sync / Periodic Background Sync.
+  useEffect(() => {
+    if (!user) return;
+    
+    const loadOutbox = () => getOutboxEntries(user.email).then(setOutboxEntries).catch(console.error);
+    const handleOnline = () => flushOutbox(user.email).catch(console.error);
+    const handleVisibilityChange = async () => {
+      if (document.visibilityState !== 'visible' || !navigator.onLine) return;
+      await handleOnline();
+      if (!periodicRefreshEnabled.current) {
+        // Also posts what came due while the tab was in the background
+        refreshUserData()
+          .then(async ({ scheduled, recurring, bills }) => {
+            await postDueScheduled(scheduled);
+            await postDueRecurring(recurring);
+            await notifyDueBills(user.email, bills, todayISO());
+          })
+          .catch(console.error);
+      }
+    };
+    
+    const unsubscribe = subscribeOutbox(loadOutbox);
+    window.addEventListener('online', handleOnline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    loadOutbox();
+    handleOnline();
+    
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [user]);
+
+  // A notification clicked while the app is open: the service worker focuses
+  // this tab and sends the URL to open
+  useEffect(() => {
+    if (!user || !navigator.serviceWorker) return;
+    const handleMessage = (event) => {
+      if (event.data?.type === 'open-url') {
+        openLaunchParams(new URL(event.data.url, window.location.origin).searchParams);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [user]);
+
   // Fetch user data when authenticated
   useEffect(() => {
     if (user && splashComplete) {
@@ -287,36 +449,92 @@ function AppContent() {
     }
   }, [user, splashComplete]);
 
+  // Fetch rows from Supabase and keep a cached copy; when offline, fall back
+  // to the cached copy (refreshed in the background by periodic sync)
+  const loadRows = async (table, fetchRows) => {
+    if (navigator.onLine) {
+      const rows = await fetchRows(user.email);
+      await writeCachedRows(user.email, table, rows);
+      return rows;
+    }
+    return (await readCachedRows(user.email, table)) || [];
+  };
+
+  // Reload accounts, transactions, recurring payments and bill reminders
+  const refreshUserData = async () => {
+    // Writes still waiting in the outbox are layered on top of what Supabase returns
+    const pendingMutations = await getOutboxEntries(user.email).catch(() => []);
+    
+    // Fetch accounts from Supabase
+    const userAccounts = applyPendingMutations(await loadRows('accounts', getAccounts), pendingMutations, 'accounts');
+    setAccounts(userAccounts);
+    
+    // Fetch transactions from Supabase
+    const supabaseTransactions = applyPendingTransfers(
+      applyPendingMutations(await loadRows('transactions', getTransactions), pendingMutations, 'transactions'),
+      pendingMutations
+    );
+    setTransactions(supabaseTransactions);
+    
+    // Fetch recurring payments from Supabase
+    const supabaseRecurringPayments = applyPendingMutations(await loadRows('recurring_payments', getSupabaseRecurringPayments), pendingMutations, 'recurring_payments');
+    setRecurringPayments(supabaseRecurringPayments);
+    
+    // Fetch bill reminders from Supabase
+    const supabaseBillReminders = applyPendingMutations(await loadRows('bill_reminders', getSupabaseBillReminders), pendingMutations, 'bill_reminders');
+    setBillReminders(supabaseBillReminders);
+    
+    // Fetch scheduled transactions from Supabase
+    const supabaseScheduled = applyPendingMutations(await loadRows('scheduled_transactions', getScheduledTransactions), pendingMutations, 'scheduled_transactions');
+    setScheduledTransactions(supabaseScheduled);
+    
+    // Fetch bill payments from Supabase
+    setBillPayments(applyPendingMutations(await loadRows('bill_payments', getBillPayments), pendingMutations, 'bill_payments'));
+    
+    // Fetch the history of recurring payment occurrences from Supabase
+    setRecurringRuns(applyPendingMutations(await loadRows('recurring_payment_runs', getRecurringPaymentRuns), pendingMutations, 'recurring_payment_runs'));
+    
+    // Fetch the notification feed from Supabase
+    setNotifications(applyPendingMutations(await loadRows('notifications', getNotifications), pendingMutations, 'notifications'));
+    
+    return { userAccounts, scheduled: supabaseScheduled, recurring: supabaseRecurringPayments, bills: supabaseBillReminders };
+  };
+
   // Fetch user data from Supabase
   const fetchUserData = async () => {
     if (!user) return;
     
     try {
-      // Fetch transactions from Supabase
-      const supabaseTransactions = await getTransactions(user.email);
-      setTransactions(supabaseTransactions);
+      // Show the last cached data straight away while the live data loads
+      const [cachedAccounts, cachedTransactions, cachedBillReminders] = await Promise.all([
+        readCachedRows(user.email, 'accounts'),
+        readCachedRows(user.email, 'transactions'),
+        readCachedRows(user.email, 'bill_reminders'),
+      ]);
+      if (cachedAccounts) setAccounts(cachedAccounts);
+      if (cachedTransactions) setTransactions(cachedTransactions);
+      if (cachedBillReminders) setBillReminders(cachedBillReminders);
+      
+      const { userAccounts, scheduled, recurring, bills } = await refreshUserData();
       
-      // Fetch recurring payments from Supabase
-      const supabaseRecurringPayments = await getSupabaseRecurringPayments(user.email);
-      setRecurringPayments(supabaseRecurringPayments);
+      // Post scheduled transactions and recurring payments whose date has come
+      // while the app was closed
+      await postDueScheduled(scheduled);
+      await postDueRecurring(recurring);
       
-      // Fetch bill reminders from Supabase
-      const supabaseBillReminders = await getSupabaseBillReminders(user.email);
-      setBillReminders(supabaseBillReminders);
+      // Bill reminders due today, if the user turned them on
+      setNotificationSettings(await getNotificationSettings(user.email));
+      await notifyDueBills(user.email, bills, todayISO());
       
-      // Fetch account information from Supabase
-      const accountInfo = await getSupabaseAccountInfo(user.email);
-      if (accountInfo) {
-        setBalance(accountInfo.balance || 0);
-        setAccountNumber(accountInfo.account_number || '');
-        setAccountId(accountInfo.id);
+      // Prefetch data in the background where Periodic Background Sync is available
+      periodicRefreshEnabled.current = await registerPeriodicRefresh();
+      
+      if (userAccounts.length > 0) {
+        // Reselect the account used last time, if it still exists
+        const savedAccountId = localStorage.getItem('activeAccountId');
+        setActiveAccountId(userAccounts.some(a => a.id === savedAccountId) ? savedAccountId : null);
       } else {
-        // If no account info exists, calculate balance from transactions and show the popup to create it
-        const transactionBalance = supabaseTransactions.reduce((sum, transaction) => {
-          return sum + transaction.amount;
-        }, 0);
-        
-        setBalance(transactionBalance);
+        // No account yet: show the popup to create the first one
         setShowBalancePopup(true);
       }
       
@@ -342,13 +560,91 @@ function AppContent() {
         }
       }
       
-      setCurrentPage('dashboard');
+      // Honour app shortcuts from the web manifest and notification links
+      // (?page=... / ?action=... / ?bill=...), then clear them from the URL
+      openLaunchParams(new URLSearchParams(window.location.search));
+      if (window.location.search) {
+        window.history.replaceState(null, '', window.location.pathname);
+      }
     } catch (error) {
       console.error('Error fetching user data:', error);
       setCurrentPage('dashboard');
     }
   };
 
+  // Opens the page a launch URL points at. ?bill= focuses that bill, and with
+  // ?action=pay-bill opens its pay dialog. ?account= selects that account.
+  const openLaunchParams = (params) => {
+    setLaunchAction(params.get('action'));
+    setCurrentPage(params.get('page') || 'dashboard');
+    const accountId = params.get('account');
+    if (accountId) setActiveAccountId(accountId);
+    const billId = params.get('bill');
+    setFocusedBillId(billId);
+    if (billId && params.get('action') === PAY_BILL_ACTION) setPayingBillId(billId);
+  };
+
+  // Bill reminders: opt in (asking for permission), or change the default lead time
+  const updateNotificationSettings = async (changes) => {
+    const next = { ...notificationSettings, ...changes };
+    if (changes.enabled && !(await requestNotificationPermission())) {
+      alert("Notifications are blocked for this site. Allow them in the browser's site settings to get bill reminders.");
+      return;
+    }
+    await saveNotificationSettings(user.email, next);
+    setNotificationSettings(next);
+    if (next.enabled) await notifyDueBills(user.email, billReminders, todayISO());
+  };
+
+  // Sends the first unpaid bill through the local push stand-in, to check
+  // reminders end to end without a push server
+  const sendTestReminder = async () => {
+    const bill = [...billReminders].filter(b => !b.is_paid).sort((a, b) => a.due_date.localeCompare(b.due_date))[0];
+    const payload = bill
+      ? { type: 'bill-reminder', bill, stage: billReminderStage(bill, todayISO(), 0) || 'upcoming' }
+      : { title: 'MyBank', body: 'Bill reminders are on.', url: '/?page=billReminders' };
+    try {
+      await simulatePush(payload);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Adds notifications to the feed, skipping those already in it
+  const addNotifications = async (items) => {
+    if (!items.length) return;
+    const saved = await saveNotifications(user.email, items, notifications || []);
+    if (!saved.length) return;
+    setNotifications(prev => [...saved.filter(n => !(prev || []).some(p => p.id === n.id)), ...(prev || [])]);
+  };
+
+  // Keep the feed up to date with bills coming due, low balances, large
+  // transactions and failed syncs as the data changes
+  const notificationsLoaded = notifications !== null;
+  useEffect(() => {
+    if (!user || !notificationsLoaded || !notificationSettings) return;
+    addNotifications(deriveNotifications({
+      bills: billReminders,
+      accounts,
+      transactions,
+      outboxEntries,
+      settings: notificationSettings,
+      today: todayISO(),
+    })).catch(console.error);
+  }, [user, notificationsLoaded, notificationSettings, billReminders, accounts, transactions, outboxEntries]);
+
+  const markNotificationsAsRead = async (items) => {
+    const updated = await markNotificationsRead(user.email, items);
+    const updatedById = new Map(updated.map(n => [n.id, n]));
+    setNotifications(prev => (prev || []).map(n => updatedById.get(n.id) || n));
+  };
+
+  // A feed item was clicked: mark it read and open what it is about
+  const openNotification = (notification) => {
+    markNotificationsAsRead([notification]).catch(console.error);
+    openLaunchParams(new URL(notification.url || '/', window.location.origin).searchParams);
+  };
+
   // Handle profile image change
   const handleProfileImageChange = (imageData) => {
     setProfileImage(imageData);
@@ -379,6 +675,9 @@ function AppContent() {
     console.log('Logout confirmed');
     setConfirmPw("");
     setShowLogout(false);
+    // Stop prefetching and drop the cached copy of this user's data
+    await unregisterPeriodicRefresh();
+    await clearCachedRows();
     await signOut();
     setCurrentPage("home"); // return to home as requested
   };
@@ -393,356 +692,659 @@ function AppContent() {
     alert("Your account data has been deleted.");
   };
 
-  const addTransaction = async ({ type, amount, description, category }) => {
+  // date defaults to today; time (HH:MM) is optional. With `schedule`, a
+  // future-dated transaction waits outside the ledger until its date.
+  const addTransaction = async ({ type, amount, description, category, date, time, schedule = false }) => {
     if (!user) return;
+    if (schedule && date > todayISO()) {
+      return addScheduledTransaction({ type, amount, description, category, date, time });
+    }
     
     // Calculate amount value
     const amountValue = Number(amount) * (type === "expense" ? -1 : 1);
     
     // Create transaction object
     const transaction = {
+      id: crypto.randomUUID(),
       owner_email: user.email,
+      account_id: postingAccountId,
       type,
       amount: amountValue,
       description,
       category,
-      date: todayISO(),
+      date: date || todayISO(),
+      time_of_day: time || null,
     };
     
-    // Update balance immediately for instant UI feedback
-    let newBalance = balance;
-    if (accountId) {
-      newBalance = balance + amountValue;
-      setBalance(newBalance);
-    }
-    
     // Add to local state immediately for instant UI feedback
-    const tempId = `temp_${Date.now()}`; // Temporary ID for UI purposes
-    const tempTransaction = {
-      ...transaction,
-      id: tempId,
-      created_at: new Date().toISOString()
-    };
-    
-    setTransactions(prev => [tempTransaction, ...prev]);
+    setTransactions(prev => [{ ...transaction, created_at: new Date().toISOString() }, ...prev]);
     
     try {
       // Add to Supabase in the background
-      const newTransaction = await addSupabaseTransaction(transaction);
+      const { data: newTransaction } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'transactions',
+        op: 'insert',
+        rowId: transaction.id,
+        payload: transaction,
+      });
       if (newTransaction) {
-        // Replace temporary transaction with the real one from Supabase
-        setTransactions(prev => 
-          [newTransaction, ...prev.filter(t => t.id !== tempId)]
-        );
-        
-        // Update balance in Supabase in the background
-        if (accountId) {
-          await updateSupabaseAccount(accountId, { balance: newBalance });
-        }
-      } else {
-        // If Supabase addition failed, remove the temporary transaction and revert balance
-        setTransactions(prev => prev.filter(t => t.id !== tempId));
-        if (accountId) {
-          setBalance(balance);
-        }
+        // Replace the optimistic transaction with the real one from Supabase
+        setTransactions(prev => prev.map(t => t.id === transaction.id ? newTransaction : t));
       }
     } catch (error) {
-      // If Supabase addition failed, remove the temporary transaction and revert balance
-      setTransactions(prev => prev.filter(t => t.id !== tempId));
-      if (accountId) {
-        setBalance(balance);
-      }
+      // Supabase rejected the transaction: remove it
+      setTransactions(prev => prev.filter(t => t.id !== transaction.id));
       console.error('Error adding transaction:', error);
     }
   };
 
+  // Scheduled transactions: not in the balance until postDueScheduled posts them
+  const addScheduledTransaction = async ({ type, amount, description, category, date, time }) => {
+    const scheduled = {
+      id: crypto.randomUUID(),
+      owner_email: user.email,
+      account_id: postingAccountId,
+      type,
+      amount: Number(amount) * (type === "expense" ? -1 : 1),
+      description,
+      category,
+      date,
+      time_of_day: time || null,
+      created_at: new Date().toISOString(),
+    };
+    setScheduledTransactions(prev => [...prev, scheduled]);
+    try {
+      const { data } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'scheduled_transactions',
+        op: 'insert',
+        rowId: scheduled.id,
+        payload: scheduled,
+      });
+      if (data) {
+        setScheduledTransactions(prev => prev.map(s => s.id === scheduled.id ? data : s));
+      }
+    } catch (error) {
+      setScheduledTransactions(prev => prev.filter(s => s.id !== scheduled.id));
+      console.error('Error scheduling transaction:', error);
+    }
+  };
+
+  const cancelScheduledTransaction = async (id) => {
+    try {
+      await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'scheduled_transactions',
+        op: 'delete',
+        rowId: id,
+      });
+      setScheduledTransactions(prev => prev.filter(s => s.id !== id));
+    } catch (error) {
+      console.error('Error cancelling scheduled transaction:', error);
+    }
+  };
+
+  // Moves due scheduled transactions into the ledger. Safe to run from
+  // several tabs at once: a posted transaction keeps its scheduled id.
+  const postDueScheduled = async (scheduled = scheduledTransactions) => {
+    const { posted } = await postDueScheduledTransactions(user.email, scheduled, todayISO());
+    if (!posted.length) return;
+    const postedIds = new Set(posted.map(t => t.id));
+    setTransactions(prev => [...posted, ...prev.filter(t => !postedIds.has(t.id))]);
+    setScheduledTransactions(prev => prev.filter(s => !postedIds.has(s.id)));
+  };
+
+  // Moves money between two of the user's accounts. Both legs are shown
+  // straight away and written together by apply_transfer.
+  const addTransfer = async ({ fromAccountId, toAccountId, amount, description, date }) => {
+    if (!user) return;
+    
+    const transferId = crypto.randomUUID();
+    const payload = {
+      debit_id: crypto.randomUUID(),
+      credit_id: crypto.randomUUID(),
+      from_account_id: fromAccountId,
+      to_account_id: toAccountId,
+      amount: Math.abs(Number(amount)),
+      description,
+      date: date || todayISO(),
+    };
+    const legs = buildTransferLegs(transferId, user.email, payload)
+      .map(leg => ({ ...leg, created_at: new Date().toISOString() }));
+    
+    setTransactions(prev => [...legs, ...prev]);
+    
+    try {
+      // Queued in the outbox when offline
+      const { data: storedLegs } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'transfers',
+        op: 'insert',
+        rowId: transferId,
+        payload,
+      });
+      if (storedLegs?.length) {
+        setTransactions(prev => [...storedLegs, ...prev.filter(t => t.transfer_id !== transferId)]);
+      }
+    } catch (error) {
+      // Supabase rejected the transfer: remove both legs
+      setTransactions(prev => prev.filter(t => t.transfer_id !== transferId));
+      console.error('Error adding transfer:', error);
+    }
+  };
+
   // Import/Export (JSON)
-  const exportJSON = async () => {
+  // Backs up what the app shows (Supabase data plus writes still in the
+  // outbox) for every table, and the local settings. With a passphrase the
+  // file is encrypted (see backupCrypto.js).
+  const exportJSON = async (passphrase) => {
     if (!user) return;
-    const txns = await dbGetAllByOwner(user.email);
-    const data = { user: { ...user, password: undefined }, transactions: txns };
+    const backup = await createBackup({
+      ownerEmail: user.email,
+      tables: {
+        accounts,
+        transactions,
+        recurring_payments: recurringPayments,
+        bill_reminders: billReminders,
+        scheduled_transactions: scheduledTransactions,
+        recurring_payment_runs: recurringRuns,
+        bill_payments: billPayments,
+        notifications: notifications || [],
+      },
+      settings: { theme, phone, profileImage },
+    });
+    const data = passphrase ? await encryptBackup(backup, passphrase) : backup;
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `mybank-backup-${new Date().toISOString().slice(0,10)}.json`;
+    a.download = `mybank-backup-${new Date().toISOString().slice(0,10)}${passphrase ? '.encrypted' : ''}.json`;
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  // Appends imported transactions ({ type, amount, description, category, date,
+  // external_id? }) to an account. Each one goes through apply_transaction, which adjusts the
+  // stored balance on the server.
+  // Posts imported rows one by one. A statement line already in the account
+  // (same external_id) is skipped: apply_transaction returns the existing
+  // transaction instead of the new id. A row Supabase rejects does not stop
+  // the others. Resolves to { imported, skipped, failed: [{ row, error }] }.
+  const importTransactions = async (rows, accountId = postingAccountId) => {
+    const imported = [];
+    const failed = [];
+    let skipped = 0;
+    for (const t of rows) {
+      const transaction = {
+        id: crypto.randomUUID(),
+        owner_email: user.email,
+        account_id: accountId,
+        type: t.type,
+        amount: Number(t.amount),
+        description: t.description,
+        category: t.category,
+        date: t.date || todayISO(),
+        external_id: t.external_id || null,
+      };
+      try {
+        const { data } = await mutateOrQueue({
+          ownerEmail: user.email,
+          table: 'transactions',
+          op: 'insert',
+          rowId: transaction.id,
+          payload: transaction,
+        });
+        if (data && data.id !== transaction.id) skipped += 1;
+        else imported.push(data || transaction);
+      } catch (error) {
+        console.error('Error importing transaction:', error);
+        failed.push({ row: t, error });
+      }
+    }
+    setTransactions(prev => [...imported, ...prev]);
+    return { imported: imported.length, skipped, failed };
+  };
+
+  // "3 transaction(s) imported, 1 already in the account, 1 failed: <reason>"
+  const describeImport = ({ imported, skipped, failed }) =>
+    `${imported} transaction(s) imported` +
+    (skipped ? `, ${skipped} already in the account` : '') +
+    (failed.length ? `, ${failed.length} failed: ${failed[0].error.message}` : '');
+
   const importJSON = async (file) => {
     if (!user || !file) return;
     const text = await file.text();
     try {
       const parsed = JSON.parse(text);
-      if (Array.isArray(parsed.transactions)) {
-        // Clear existing owner's transactions, then add
-        await dbClearOwner(user.email);
-        for (const t of parsed.transactions) {
-          await dbWrite("transactions", { ...t, id: undefined, ownerEmail: user.email });
-        }
-        const updated = await dbGetAllByOwner(user.email);
-        setTransactions(updated);
-        
-        // Recalculate balance based on imported transactions
-        if (accountId) {
-          const total = updated.reduce((sum, transaction) => {
-            return sum + transaction.amount;
-          }, balance); // Start with current balance
-          
-          setBalance(total);
-          // Update balance in Supabase
-          await updateSupabaseAccount(accountId, { balance: total });
-        }
-        
-        alert("Transactions imported");
+      if (isEncryptedBackup(parsed)) {
+        setLockedBackup(parsed);
+      } else if (isBackup(parsed)) {
+        // Checked before anything is shown, so a damaged file is never half-restored
+        setPendingRestore(await verifyBackup(parsed));
+      } else if (Array.isArray(parsed.transactions)) {
+        // Older exports: a bare list of transactions
+        const result = await importTransactions(parsed.transactions.map(t => ({
+          ...t,
+          // Transfers and ledger entries from other backups come in as plain income/expense
+          type: isCashflow(t) ? t.type : (t.amount < 0 ? "expense" : "income"),
+        })));
+        alert(describeImport(result));
       } else {
         alert("Invalid backup format");
       }
     } catch (e) {
-      alert("Failed to parse JSON");
+      if (e instanceof SyntaxError) {
+        alert("Failed to parse JSON");
+      } else {
+        console.error('Error importing transactions:', e);
+        alert("Import failed: " + e.message);
+      }
+    }
+  };
+
+  // Throws with a user-facing message on a wrong passphrase or a tampered file
+  const unlockBackup = async (passphrase) => {
+    const backup = await verifyBackup(await decryptBackup(lockedBackup, passphrase));
+    setLockedBackup(null);
+    setPendingRestore(backup);
+  };
+
+  // Restores a verified backup with one mode per table (see planRestore).
+  // The writes run in order through the outbox, then everything is reloaded.
+  const restoreBackup = async (backup, modes, restoreSettings) => {
+    const backupTables = Object.fromEntries(
+      BACKUP_TABLES.filter(table => backup.tables[table]).map(table => [table, backup.tables[table].rows])
+    );
+    const { mutations, summary } = planRestore({
+      ownerEmail: user.email,
+      backupTables,
+      currentTables: {
+        accounts,
+        transactions,
+        recurring_payments: recurringPayments,
+        bill_reminders: billReminders,
+        scheduled_transactions: scheduledTransactions,
+        recurring_payment_runs: recurringRuns,
+        bill_payments: billPayments,
+        notifications: notifications || [],
+      },
+      modes,
+    });
+    
+    let applied = 0;
+    try {
+      for (const mutation of mutations) {
+        await mutateOrQueue({ ownerEmail: user.email, ...mutation });
+        applied++;
+      }
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      alert(`Restore stopped after ${applied} of ${mutations.length} change(s): ${error.message}`);
+    }
+    
+    if (restoreSettings && backup.settings) {
+      const { theme: savedTheme, phone: savedPhone, profileImage: savedImage } = backup.settings.values;
+      if (savedTheme) setTheme(savedTheme);
+      setPhone(savedPhone || '');
+      setProfileImage(savedImage || null);
+    }
+    
+    setPendingRestore(null);
+    await refreshUserData();
+    if (applied === mutations.length) {
+      alert('Backup restored:\n' + Object.entries(summary).map(([table, c]) =>
+        `${BACKUP_TABLE_LABELS[table]}: ${c.inserted} added, ${c.updated} updated, ${c.deleted} removed${c.skipped ? `, ${c.skipped} skipped` : ''}`
+      ).join('\n'));
+    }
+  };
+
+  // Bank statements open in the import wizard; our own JSON backups import directly
+  const handleImportFile = async (file) => {
+    if (!user || !file) return;
+    if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+      return importJSON(file);
+    }
+    const text = await file.text();
+    let format = 'csv';
+    if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) format = 'ofx';
+    else if (/\.qif$/i.test(file.name) || /^\s*!Type:/i.test(text)) format = 'qif';
+    setImportFile({ name: file.name, format, text });
+  };
+
+  // Merging keeps the existing transaction but takes the statement's date,
+  // description and (if it had none) category, so both sides agree
+  const mergeImportedTransactions = async (merges) => {
+    for (const { existing, imported } of merges) {
+      const updates = {
+        date: imported.date,
+        description: imported.description,
+        category: existing.category && existing.category !== DEFAULT_CATEGORY ? existing.category : imported.category,
+      };
+      const { data } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'transactions',
+        op: 'update',
+        rowId: existing.id,
+        payload: updates,
+      });
+      setTransactions(prev => prev.map(t => t.id === existing.id ? (data || { ...t, ...updates }) : t));
+    }
+    return merges.length;
+  };
+
+  const handleImportConfirmed = async (rows, accountId, merges = []) => {
+    try {
+      const result = await importTransactions(rows, accountId);
+      const merged = await mergeImportedTransactions(merges);
+      setImportFile(null);
+      alert(`${describeImport(result)}${merged ? `, ${merged} merged` : ''}`);
+    } catch (e) {
+      console.error('Error importing transactions:', e);
+      alert("Import failed: " + e.message);
     }
   };
   
   // Recurring Payments
-  const addRecurringPayment = async ({ amount, description, category, frequency, nextDate }) => {
+  // rule: from buildRule(); the first payment is its first occurrence on or
+  // after startDate
+  const addRecurringPayment = async ({ type, amount, description, category, rule, startDate }) => {
     if (!user) return;
     
+    const [nextDate] = occurrences(rule, startDate, { count: 1 });
+    if (!nextDate) {
+      alert("This schedule has no payment dates.");
+      return;
+    }
     const payment = {
+      id: crypto.randomUUID(),
       owner_email: user.email,
+      account_id: postingAccountId,
+      type,
       amount: Number(amount),
       description,
       category,
-      frequency,
+      frequency: frequencyOf(rule),
+      recurrence_rule: formatRule(rule),
+      start_date: startDate,
       next_date: nextDate,
       created_at: new Date().toISOString(),
     };
     
     try {
       // Add to Supabase
-      const newPayment = await addSupabaseRecurringPayment(payment);
-      if (newPayment) {
-        setRecurringPayments(prev => [...prev, newPayment]);
-      }
+      const { data: newPayment } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'recurring_payments',
+        op: 'insert',
+        rowId: payment.id,
+        payload: payment,
+      });
+      setRecurringPayments(prev => [...prev, newPayment || payment]);
     } catch (error) {
       console.error('Error adding recurring payment:', error);
     }
   };
   
-  const deleteRecurringPayment = async (id) => {
+  const deleteRecurringPaymentLocal = async (id) => {
     if (!user) return;
     
     try {
       // Delete from Supabase
-      const success = await deleteRecurringPayment(id);
-      if (success) {
-        setRecurringPayments(prev => prev.filter(p => p.id !== id));
-      }
+      await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'recurring_payments',
+        op: 'delete',
+        rowId: id,
+      });
+      setRecurringPayments(prev => prev.filter(p => p.id !== id));
+      // Its history is deleted with it
+      setRecurringRuns(prev => prev.filter(r => r.payment_id !== id));
     } catch (error) {
       console.error('Error deleting recurring payment:', error);
     }
   };
   
-  const processRecurringPayment = async (payment) => {
-    // Add transaction from recurring payment
-    // We'll add the transaction immediately for UI feedback
-    const amountValue = Number(payment.amount) * -1; // Expense
-    
-    // Update balance immediately
-    let newBalance = balance;
-    if (accountId) {
-      newBalance = balance + amountValue;
-      setBalance(newBalance);
+  // Keeps the newest runs first, replacing any with the same id
+  const addRecurringRuns = (runs) => {
+    if (!runs.length) return;
+    const ids = new Set(runs.map(r => r.id));
+    setRecurringRuns(prev => [...runs, ...prev.filter(r => !ids.has(r.id))]
+      .sort((a, b) => b.due_date.localeCompare(a.due_date)));
+  };
+  
+  const skipRecurringPayment = async (payment) => {
+    try {
+      const { payment: updated, run } = await skipNextOccurrence(user.email, payment);
+      setRecurringPayments(prev => prev.map(p => p.id === payment.id ? updated : p));
+      addRecurringRuns([run]);
+    } catch (error) {
+      console.error('Error skipping recurring payment:', error);
+    }
+  };
+  
+  const pauseRecurringPayment = async (payment, paused) => {
+    try {
+      const { payment: updated, runs } = await setPaused(user.email, payment, paused, todayISO());
+      setRecurringPayments(prev => prev.map(p => p.id === payment.id ? updated : p));
+      addRecurringRuns(runs);
+    } catch (error) {
+      console.error('Error pausing recurring payment:', error);
     }
+  };
+  
+  // Pays the occurrence due on next_date now, booked today, under the same
+  // occurrence id the automatic catch-up uses
+  const processRecurringPayment = async (payment) => {
+    const transaction = await toRecurringTransaction(user.email, payment, payment.next_date, todayISO());
+    transaction.account_id = payment.account_id || postingAccountId;
     
     // Add transaction to UI immediately
-    const tempId = `temp_${Date.now()}`; // Temporary ID for UI purposes
-    const tempTransaction = {
-      owner_email: user.email,
-      type: "expense",
-      amount: amountValue,
-      description: `${payment.description} (Recurring)`,
-      category: payment.category,
-      date: todayISO(),
-      id: tempId,
-      created_at: new Date().toISOString()
-    };
-    
-    setTransactions(prev => [tempTransaction, ...prev]);
+    setTransactions(prev => [{ ...transaction, created_at: new Date().toISOString() }, ...prev.filter(t => t.id !== transaction.id)]);
     
+    let newTransaction;
     try {
       // Add transaction to Supabase in background
-      const newTransaction = await addSupabaseTransaction({
-        owner_email: user.email,
-        type: "expense",
-        amount: amountValue,
-        description: `${payment.description} (Recurring)`,
-        category: payment.category,
-        date: todayISO(),
-      });
-      
-      if (newTransaction) {
-        // Replace temporary transaction with real one
-        setTransactions(prev => 
-          [newTransaction, ...prev.filter(t => t.id !== tempId)]
-        );
-        
-        // Update balance in Supabase
-        if (accountId) {
-          await updateSupabaseAccount(accountId, { balance: newBalance });
-        }
-      } else {
-        // If failed, remove temp transaction and revert balance
-        setTransactions(prev => prev.filter(t => t.id !== tempId));
-        if (accountId) {
-          setBalance(balance);
-        }
-      }
-      
-      // Update next payment date based on frequency
-      const nextDate = new Date(payment.next_date);
-      switch(payment.frequency) {
-        case 'weekly':
-          nextDate.setDate(nextDate.getDate() + 7);
-          break;
-        case 'monthly':
-          nextDate.setMonth(nextDate.getMonth() + 1);
-          break;
-        case 'quarterly':
-          nextDate.setMonth(nextDate.getMonth() + 3);
-          break;
-        case 'yearly':
-          nextDate.setFullYear(nextDate.getFullYear() + 1);
-          break;
-      }
-      
-      const updatedPayment = {
-        ...payment,
-        next_date: nextDate.toISOString().slice(0, 10)
-      };
-      
-      // Update in Supabase
-      const result = await updateRecurringPayment(payment.id, {
-        next_date: updatedPayment.next_date
-      });
-      if (result) {
-        setRecurringPayments(prev => 
-          prev.map(p => p.id === payment.id ? result : p)
-        );
-      }
+      newTransaction = await postTransaction(user.email, transaction);
+      // Replace optimistic transaction with real one
+      setTransactions(prev => prev.map(t => t.id === transaction.id ? newTransaction : t));
     } catch (error) {
-      // If failed, remove temp transaction and revert balance
-      setTransactions(prev => prev.filter(t => t.id !== tempId));
-      if (accountId) {
-        setBalance(balance);
-      }
+      // Supabase rejected the write: remove the transaction, nothing else was written
+      setTransactions(prev => prev.filter(t => t.id !== transaction.id));
       console.error('Error processing recurring payment:', error);
+      alert(`The payment could not be saved: ${error.message}`);
+      return;
+    }
+    
+    const failedSteps = [];
+    try {
+      addRecurringRuns([await recordRun(user.email, payment, payment.next_date, 'posted', { transactionId: newTransaction.id })]);
+    } catch (error) {
+      console.error('Error recording recurring payment run:', error);
+      failedSteps.push('add it to the payment history');
     }
+    
+    // Move next_date to the following occurrence
+    try {
+      const updatedPayment = await setNextDate(user.email, payment, nextDueDate(payment, payment.next_date));
+      setRecurringPayments(prev => 
+        prev.map(p => p.id === payment.id ? updatedPayment : p)
+      );
+    } catch (error) {
+      console.error('Error moving recurring payment to its next date:', error);
+      failedSteps.push('move it to its next date');
+    }
+    
+    if (failedSteps.length) {
+      alert(`${payment.description} is in your transactions, but the app could not ${failedSteps.join(' or ')}.`);
+    }
+  };
+  
+  // Posts every occurrence missed since next_date, each on its due date.
+  // Safe to run from several tabs at once: occurrence ids are deterministic.
+  const postDueRecurring = async (payments = recurringPayments) => {
+    const { posted, payments: updated, runs } = await postDueRecurringPayments(user.email, payments, todayISO());
+    addRecurringRuns(runs);
+    if (!posted.length) return;
+    await addNotifications(recurringPostedNotifications(runs, payments));
+    const postedIds = new Set(posted.map(t => t.id));
+    setTransactions(prev => [...posted, ...prev.filter(t => !postedIds.has(t.id))]);
+    const updatedById = new Map(updated.map(p => [p.id, p]));
+    setRecurringPayments(prev => prev.map(p => updatedById.get(p.id) || p));
   };
   
   // Bill Reminders
-  const addBillReminderLocal = async ({ description, amount, dueDate, category }) => {
+  // repeat: 'none' or a FREQ of buildRule(), every `interval` periods
+  // remindDaysBefore: days of notice for this bill ('' uses the default)
+  const addBillReminderLocal = async ({ description, amount, dueDate, category, repeat = 'none', interval = 1, remindDaysBefore = '' }) => {
     if (!user) return;
     
+    const id = crypto.randomUUID();
     const reminder = {
+      id,
       owner_email: user.email,
+      account_id: postingAccountId,
       description,
       amount: Number(amount),
       due_date: dueDate,
       category,
       is_paid: false,
+      remind_days_before: remindDaysBefore === '' ? null : Number(remindDaysBefore),
       created_at: new Date().toISOString(),
+      ...(repeat !== 'none' ? {
+        recurrence_rule: formatRule(buildRule({ freq: repeat, interval }, dueDate)),
+        start_date: dueDate,
+        series_id: id,
+      } : {}),
     };
     
     try {
       // Add to Supabase
-      const newReminder = await addSupabaseBillReminder(reminder);
-      if (newReminder) {
-        setBillReminders(prev => [...prev, newReminder]);
-      }
+      const { data: newReminder } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'bill_reminders',
+        op: 'insert',
+        rowId: reminder.id,
+        payload: reminder,
+      });
+      setBillReminders(prev => [...prev, newReminder || reminder]);
     } catch (error) {
       console.error('Error adding bill reminder:', error);
     }
   };
   
-  const markBillAsPaidLocal = async (id) => {
+  // Pays `amount` of a bill on `date` (by default whatever is left, today).
+  // A payment short of the remainder leaves the bill partially paid unless
+  // settle marks it paid anyway; more than the remainder is refused. A
+  // recurring bill that ends up paid comes back with its next due date.
+  //
+  // The ledger transaction is posted first. If a later step is rejected the
+  // transaction stays (the money was paid) and only that step is missing.
+  const markBillAsPaidLocal = async (id, { amount, date = todayISO(), settle = false } = {}) => {
     if (!user) return;
     
     const bill = billReminders.find(b => b.id === id);
     if (!bill) return;
+    const paidNow = roundMoney(amount ?? billRemaining(bill));
+    // The bill's new columns, worked out first so an overpayment writes nothing
+    let paid;
+    try {
+      paid = billAfterPayment(bill, { amount: paidNow, date, settle });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
     
     // Add transaction for the bill payment
     // We'll add the transaction immediately for UI feedback
-    const amountValue = Number(bill.amount) * -1; // Expense
-    
-    // Update balance immediately
-    let newBalance = balance;
-    if (accountId) {
-      newBalance = balance + amountValue;
-      setBalance(newBalance);
-    }
-    
-    // Add transaction to UI immediately
-    const tempId = `temp_${Date.now()}`; // Temporary ID for UI purposes
-    const tempTransaction = {
+    const transaction = {
+      id: crypto.randomUUID(),
       owner_email: user.email,
+      account_id: bill.account_id || postingAccountId,
       type: "expense",
-      amount: amountValue,
+      amount: -paidNow,
       description: `${bill.description} (Bill Payment)`,
       category: bill.category,
-      date: todayISO(),
-      id: tempId,
-      created_at: new Date().toISOString()
+      date,
+    };
+    const payment = {
+      id: crypto.randomUUID(),
+      owner_email: user.email,
+      bill_id: bill.id,
+      transaction_id: transaction.id,
+      amount: paidNow,
+      date,
+      created_at: new Date().toISOString(),
     };
     
-    setTransactions(prev => [tempTransaction, ...prev]);
+    // Add transaction to UI immediately
+    setTransactions(prev => [{ ...transaction, created_at: new Date().toISOString() }, ...prev]);
     
     try {
       // Add transaction to Supabase in background
-      const newTransaction = await addSupabaseTransaction({
-        owner_email: user.email,
-        type: "expense",
-        amount: amountValue,
-        description: `${bill.description} (Bill Payment)`,
-        category: bill.category,
-        date: todayISO(),
+      const newTransaction = await postTransaction(user.email, transaction);
+      // Replace optimistic transaction with real one
+      setTransactions(prev => prev.map(t => t.id === transaction.id ? newTransaction : t));
+    } catch (error) {
+      // Supabase rejected the write: remove the transaction, nothing else was written
+      setTransactions(prev => prev.filter(t => t.id !== transaction.id));
+      console.error('Error marking bill as paid:', error);
+      alert(`The payment could not be saved: ${error.message}`);
+      return;
+    }
+    
+    const failedSteps = [];
+    try {
+      const { data: newPayment } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'bill_payments',
+        op: 'insert',
+        rowId: payment.id,
+        payload: payment,
       });
-      
-      if (newTransaction) {
-        // Replace temporary transaction with real one
-        setTransactions(prev => 
-          [newTransaction, ...prev.filter(t => t.id !== tempId)]
-        );
-        
-        // Update balance in Supabase
-        if (accountId) {
-          await updateSupabaseAccount(accountId, { balance: newBalance });
-        }
-      } else {
-        // If failed, remove temp transaction and revert balance
-        setTransactions(prev => prev.filter(t => t.id !== tempId));
-        if (accountId) {
-          setBalance(balance);
-        }
-      }
-      
-      // Update bill status
-      const updatedBill = { ...bill, is_paid: true };
-      
-      // Update in Supabase
-      const result = await updateBillReminder(id, { is_paid: true });
-      if (result) {
-        setBillReminders(prev => 
-          prev.map(b => b.id === id ? result : b)
-        );
-      }
+      setBillPayments(prev => [...prev, newPayment || payment]);
+    } catch (error) {
+      console.error('Error recording bill payment:', error);
+      failedSteps.push('add it to the payment history');
+    }
+    
+    // Update bill status, keeping when and how much was paid
+    try {
+      const { data: result } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'bill_reminders',
+        op: 'update',
+        rowId: id,
+        payload: paid,
+      });
+      setBillReminders(prev => 
+        prev.map(b => b.id === id ? (result || { ...bill, ...paid }) : b)
+      );
     } catch (error) {
-      // If failed, remove temp transaction and revert balance
-      setTransactions(prev => prev.filter(t => t.id !== tempId));
-      if (accountId) {
-        setBalance(balance);
+      console.error('Error updating bill:', error);
+      failedSteps.push('mark the bill as paid');
+    }
+    
+    // A recurring bill comes back with its next due date
+    try {
+      const next = paid.is_paid ? await nextBillReminder(bill) : null;
+      if (next) {
+        const { data: created } = await mutateOrQueue({
+          ownerEmail: user.email,
+          table: 'bill_reminders',
+          op: 'insert',
+          rowId: next.id,
+          payload: next,
+        });
+        setBillReminders(prev => [...prev.filter(b => b.id !== next.id), created || next]);
       }
-      console.error('Error marking bill as paid:', error);
+    } catch (error) {
+      console.error('Error adding next bill reminder:', error);
+      failedSteps.push('add the next reminder');
+    }
+    
+    if (failedSteps.length) {
+      alert(`The payment of ${formatINR(paidNow)} is in your transactions, but the app could not ${failedSteps.join(' or ')}.`);
     }
   };
   
@@ -751,53 +1353,95 @@ function AppContent() {
     
     try {
       // Delete from Supabase
-      const success = await deleteBillReminder(id);
-      if (success) {
-        setBillReminders(prev => prev.filter(b => b.id !== id));
-      }
+      await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'bill_reminders',
+        op: 'delete',
+        rowId: id,
+      });
+      setBillReminders(prev => prev.filter(b => b.id !== id));
+      // Its payments are deleted with it
+      setBillPayments(prev => prev.filter(p => p.bill_id !== id));
     } catch (error) {
       console.error('Error deleting bill reminder:', error);
     }
   };
   
   // Account Statement
-  const generateStatement = () => {
-    if (!transactions.length) return [];
-    
-    // Filter transactions by date range
-    const filteredTransactions = transactions.filter(t => {
-      return t.date >= dateRange.start && t.date <= dateRange.end;
+  // Computed from the whole ledger, so the opening balance carries in
+  // everything before dateRange and the closing balance matches the dashboard
+  // figure as of dateRange.end (see buildStatement)
+  const generateStatement = () => buildStatement(accountTransactions, dateRange);
+
+  // PDF of the statement for dateRange, as a File so it can be shared as well as downloaded
+  const createStatementPdf = async () => {
+    const statement = generateStatement();
+    const blob = await generateStatementPdf({
+      statement,
+      holderName: user?.user_metadata?.full_name || user?.email,
+      account: activeAccount,
     });
-    
-    return filteredTransactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return new File([blob], statementFileName(statement, activeAccount, 'pdf'), { type: 'application/pdf' });
+  };
+
+  // Spreadsheet of the statement for dateRange: 'csv' or 'xlsx'
+  const createStatementSpreadsheet = async (format) => {
+    const statement = generateStatement();
+    const blob = format === 'xlsx'
+      ? await statementToXLSX(statement)
+      : new Blob([statementToCSV(statement)], { type: 'text/csv' });
+    return new File([blob], statementFileName(statement, activeAccount, format), { type: blob.type });
   };
 
   // UI Components for new features
   const RecurringPaymentsPage = () => {
     const [showAddForm, setShowAddForm] = useState(false);
-    const [newPayment, setNewPayment] = useState({
+    const categories = {
+      expense: ["Bills", "Rent", "Subscription", "Insurance", "Loan", "Other"],
+      income: ["Salary", "Rent", "Interest", "Dividends", "Other"],
+    };
+    const emptyPayment = {
+      type: "expense",
       amount: "",
       description: "",
       category: "Bills",
-      frequency: "monthly",
-      nextDate: todayISO(),
-    });
+      freq: "MONTHLY",
+      interval: 1,
+      monthlyOn: "day",
+      startDate: todayISO(),
+      ends: "never",
+      until: "",
+      count: 12,
+    };
+    const [newPayment, setNewPayment] = useState(emptyPayment);
+    const [historyFor, setHistoryFor] = useState(null); // id of the payment whose history is open
     
     const handleInputChange = (e) => {
       const { name, value } = e.target;
-      setNewPayment(prev => ({ ...prev, [name]: value }));
+      setNewPayment(prev => ({
+        ...prev,
+        [name]: value,
+        // Each type has its own categories
+        ...(name === "type" ? { category: categories[value][0] } : {}),
+      }));
     };
     
+    // Money expected in and out over the next 30 days
+    const horizon = new Date(Date.now() + 30 * 86400000).toISOString().slice(0, 10);
+    const expected = recurringPayments.reduce((totals, payment) => {
+      const total = paymentOccurrencesBetween(payment, todayISO(), horizon).length * Number(payment.amount);
+      totals[payment.type === "income" ? "income" : "expense"] += total;
+      return totals;
+    }, { income: 0, expense: 0 });
+    
+    // The rule and its next 12 dates, previewed while the form is filled in
+    const rule = newPayment.startDate ? buildRule(newPayment, newPayment.startDate) : null;
+    const preview = rule ? occurrences(rule, newPayment.startDate, { count: 12 }) : [];
+    
     const handleSubmit = (e) => {
       e.preventDefault();
-      addRecurringPayment(newPayment);
-      setNewPayment({
-        amount: "",
-        description: "",
-        category: "Bills",
-        frequency: "monthly",
-        nextDate: todayISO(),
-      });
+      addRecurringPayment({ ...newPayment, rule });
+      setNewPayment(emptyPayment);
       setShowAddForm(false);
     };
     
@@ -824,6 +1468,18 @@ function AppContent() {
         {showAddForm && (
           <Card>
             <form onSubmit={handleSubmit} className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                {[["expense", "Money out"], ["income", "Money in"]].map(([value, label]) => (
+                  <button 
+                    key={value} 
+                    type="button" 
+                    onClick={() => handleInputChange({ target: { name: "type", value } })} 
+                    className={`py-2 rounded-lg text-sm ${newPayment.type === value ? (value === "income" ? "bg-green-600 text-white" : "bg-red-600 text-white") : "bg-gray-200 dark:bg-gray-800"}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
               <div>
                 <label className="block text-sm font-medium mb-1">Description</label>
                 <input 
@@ -856,39 +1512,123 @@ function AppContent() {
                   onChange={handleInputChange} 
                   className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
                 >
-                  <option>Bills</option>
-                  <option>Rent</option>
-                  <option>Subscription</option>
-                  <option>Insurance</option>
-                  <option>Loan</option>
-                  <option>Other</option>
-                </select>
-              </div>
-              <div>
-                <label className="block text-sm font-medium mb-1">Frequency</label>
-                <select 
-                  name="frequency" 
-                  value={newPayment.frequency} 
-                  onChange={handleInputChange} 
-                  className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
-                >
-                  <option value="weekly">Weekly</option>
-                  <option value="monthly">Monthly</option>
-                  <option value="quarterly">Quarterly</option>
-                  <option value="yearly">Yearly</option>
+                  {categories[newPayment.type].map(c => (
+                    <option key={c}>{c}</option>
+                  ))}
                 </select>
               </div>
               <div>
-                <label className="block text-sm font-medium mb-1">Next Payment Date</label>
+                <label className="block text-sm font-medium mb-1">Starts On</label>
                 <input 
                   type="date" 
-                  name="nextDate" 
-                  value={newPayment.nextDate} 
+                  name="startDate" 
+                  value={newPayment.startDate} 
                   onChange={handleInputChange} 
                   className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700" 
                   required 
                 />
               </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Repeat Every</label>
+                  <input 
+                    type="number" 
+                    name="interval" 
+                    value={newPayment.interval} 
+                    onChange={handleInputChange} 
+                    className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700" 
+                    min="1" 
+                    step="1" 
+                    required 
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">&nbsp;</label>
+                  <select 
+                    name="freq" 
+                    value={newPayment.freq} 
+                    onChange={handleInputChange} 
+                    className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
+                  >
+                    <option value="DAILY">Day(s)</option>
+                    <option value="WEEKLY">Week(s)</option>
+                    <option value="MONTHLY">Month(s)</option>
+                    <option value="YEARLY">Year(s)</option>
+                  </select>
+                </div>
+              </div>
+              {newPayment.startDate && (newPayment.freq === "MONTHLY" || newPayment.freq === "YEARLY") && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">On</label>
+                  <select 
+                    name="monthlyOn" 
+                    value={newPayment.monthlyOn} 
+                    onChange={handleInputChange} 
+                    className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
+                  >
+                    {MONTHLY_POSITIONS.map(position => (
+                      <option key={position} value={position}>
+                        {describeRule(buildRule({ freq: newPayment.freq, monthlyOn: position }, newPayment.startDate), newPayment.startDate)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium mb-1">Ends</label>
+                <div className="flex gap-2">
+                  <select 
+                    name="ends" 
+                    value={newPayment.ends} 
+                    onChange={handleInputChange} 
+                    className="flex-1 p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
+                  >
+                    <option value="never">Never</option>
+                    <option value="on">On a date</option>
+                    <option value="after">After a number of payments</option>
+                  </select>
+                  {newPayment.ends === "on" && (
+                    <input 
+                      type="date" 
+                      name="until" 
+                      value={newPayment.until} 
+                      min={newPayment.startDate} 
+                      onChange={handleInputChange} 
+                      className="flex-1 p-2 border rounded dark:bg-gray-800 dark:border-gray-700" 
+                      required 
+                    />
+                  )}
+                  {newPayment.ends === "after" && (
+                    <input 
+                      type="number" 
+                      name="count" 
+                      value={newPayment.count} 
+                      onChange={handleInputChange} 
+                      className="w-24 p-2 border rounded dark:bg-gray-800 dark:border-gray-700" 
+                      min="1" 
+                      step="1" 
+                      required 
+                    />
+                  )}
+                </div>
+              </div>
+              {rule && (
+                <div className="text-sm">
+                  <div className="font-medium mb-1">{describeRule(rule, newPayment.startDate)}</div>
+                  {preview.length > 0 ? (
+                    <>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Next {preview.length} payments</div>
+                      <div className="grid grid-cols-2 sm:grid-cols-3 gap-1 text-xs">
+                        {preview.map(date => (
+                          <span key={date} className="px-2 py-1 bg-gray-100 dark:bg-gray-800 rounded">{formatDate(date)}</span>
+                        ))}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="text-xs text-red-600">This schedule has no payment dates.</div>
+                  )}
+                </div>
+              )}
               <button 
                 type="submit" 
                 className="w-full py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
@@ -898,40 +1638,110 @@ function AppContent() {
             </form>
           </Card>
         )}
-        
+        
+        {recurringPayments.length > 0 && (
+          <Card>
+            <div className="text-sm text-gray-600 dark:text-gray-400 mb-2">Expected in the next 30 days</div>
+            <div className="grid grid-cols-3 gap-2 text-center">
+              <div>
+                <div className="text-xs opacity-70">Income</div>
+                <div className="font-semibold text-green-600">{formatINR(expected.income)}</div>
+              </div>
+              <div>
+                <div className="text-xs opacity-70">Outflows</div>
+                <div className="font-semibold text-red-600">{formatINR(expected.expense)}</div>
+              </div>
+              <div>
+                <div className="text-xs opacity-70">Net</div>
+                <div className={`font-semibold ${expected.income - expected.expense < 0 ? "text-red-600" : "text-green-600"}`}>{formatINR(expected.income - expected.expense)}</div>
+              </div>
+            </div>
+          </Card>
+        )}
         {recurringPayments.length > 0 ? (
           <div className="space-y-3">
-            {recurringPayments.map(payment => (
-              <Card key={payment.id} className="flex justify-between items-center">
-                <div>
-                  <h3 className="font-medium">{payment.description}</h3>
-                  <div className="text-sm text-gray-600 dark:text-gray-400">
-                    {payment.frequency.charAt(0).toUpperCase() + payment.frequency.slice(1)} • {payment.category} • Next: {formatDate(payment.nextDate)}
+            {recurringPayments.map(payment => {
+              const runs = recurringRuns.filter(r => r.payment_id === payment.id);
+              const ended = !payment.next_date;
+              return (
+                <Card key={payment.id}>
+                  <div className="flex justify-between items-center">
+                    <div>
+                      <h3 className="font-medium">
+                        {payment.description}<SyncBadge status={syncStatus[payment.id]} />
+                        {payment.paused && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">Paused</span>}
+                        {ended && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300">Ended</span>}
+                      </h3>
+                      <div className="text-sm text-gray-600 dark:text-gray-400">
+                        {describeRule(paymentRule(payment), paymentStart(payment))} • {payment.category}{!ended && <> • Next: {formatDate(payment.next_date)}</>}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <div className={`font-semibold ${payment.type === "income" ? "text-green-600" : ""}`}>
+                        {payment.type === "income" ? "+" : ""}{formatINR(payment.amount)}
+                      </div>
+                      {!ended && (
+                        <button 
+                          onClick={() => processRecurringPayment(payment)}
+                          className="p-1 bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200 rounded hover:bg-green-200 dark:hover:bg-green-800"
+                          title="Process payment now"
+                        >
+                          ✓
+                        </button>
+                      )}
+                      <button 
+                        onClick={() => deleteRecurringPaymentLocal(payment.id)}
+                        className="p-1 bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 rounded hover:bg-red-200 dark:hover:bg-red-800"
+                        title="Delete recurring payment"
+                      >
+                        ✕
+                      </button>
+                    </div>
                   </div>
-                </div>
-                <div className="flex items-center space-x-3">
-                  <div className="font-semibold">{formatINR(payment.amount)}</div>
-                  <button 
-                    onClick={() => processRecurringPayment(payment)}
-                    className="p-1 bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200 rounded hover:bg-green-200 dark:hover:bg-green-800"
-                    title="Process payment now"
-                  >
-                    ✓
-                  </button>
-                  <button 
-                    onClick={() => deleteRecurringPayment(payment.id)}
-                    className="p-1 bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 rounded hover:bg-red-200 dark:hover:bg-red-800"
-                    title="Delete recurring payment"
-                  >
-                    ✕
-                  </button>
-                </div>
-              </Card>
-            ))}
+                  <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                    {!ended && (
+                      <>
+                        <button onClick={() => pauseRecurringPayment(payment, !payment.paused)} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+                          {payment.paused ? "Resume" : "Pause"}
+                        </button>
+                        <button onClick={() => skipRecurringPayment(payment)} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+                          Skip next ({formatDate(payment.next_date)})
+                        </button>
+                      </>
+                    )}
+                    <button onClick={() => setHistoryFor(historyFor === payment.id ? null : payment.id)} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+                      {historyFor === payment.id ? "Hide history" : `History (${runs.length})`}
+                    </button>
+                  </div>
+                  {historyFor === payment.id && (
+                    runs.length > 0 ? (
+                      <ul className="mt-2 divide-y dark:divide-gray-700 text-sm">
+                        {runs.map(run => (
+                          <li key={run.id} className="py-1 flex justify-between">
+                            <span>{formatDate(run.due_date)}</span>
+                            <span
+                              className={run.status === "posted" ? "text-green-600" : run.status === "failed" ? "text-red-600" : "text-gray-500"}
+                              title={run.error || undefined}
+                            >
+                              {run.status.charAt(0).toUpperCase() + run.status.slice(1)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <div className="mt-2 text-sm text-gray-500 dark:text-gray-400">No payments yet.</div>
+                    )
+                  )}
+                </Card>
+              );
+            })}
           </div>
         ) : (
           <div className="text-center text-gray-600 dark:text-gray-400">No recurring payments yet.</div>
         )}
+        {recurringPayments.length > 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">Payments post automatically on their due date, including any missed while the app was closed. ✓ pays the next one now. Payments due while a payment is paused are skipped.</p>
+        )}
       </div>
     );
   };
@@ -940,11 +1750,11 @@ function AppContent() {
 
   const StatementsPage = () => {
     const statement = generateStatement();
-    const totalIncome = statement.reduce((acc, t) => acc + (t.type === "income" ? t.amount : 0), 0);
-    const totalExpenses = statement.reduce((acc, t) => acc + (t.type === "expense" ? t.amount : 0), 0);
-    const balance = totalIncome + totalExpenses;
+    const entries = statement.rows;
+    const totalIncome = entries.reduce((acc, t) => acc + (t.type === "income" ? t.amount : 0), 0);
+    const totalExpenses = entries.reduce((acc, t) => acc + (t.type === "expense" ? t.amount : 0), 0);
 
-    const incomeData = statement
+    const incomeData = entries
       .filter(t => t.type === "income")
       .reduce((acc, t) => {
         const existing = acc.find(d => d.category === t.category);
@@ -956,7 +1766,7 @@ function AppContent() {
         return acc;
       }, []);
 
-    const expenseData = statement
+    const expenseData = entries
       .filter(t => t.type === "expense")
       .reduce((acc, t) => {
         const existing = acc.find(d => d.category === t.category);
@@ -980,6 +1790,10 @@ function AppContent() {
           </button>
         </div>
         <div className="flex justify-between items-center">
+          <div className="space-y-1">
+            <h3 className="text-lg font-semibold">Opening</h3>
+            <div className="text-gray-600 dark:text-gray-400">{formatINR(statement.openingBalance)}</div>
+          </div>
           <div className="space-y-1">
             <h3 className="text-lg font-semibold">Income</h3>
             <div className="text-gray-600 dark:text-gray-400">{formatINR(totalIncome)}</div>
@@ -989,13 +1803,13 @@ function AppContent() {
             <div className="text-gray-600 dark:text-gray-400">{formatINR(totalExpenses)}</div>
           </div>
           <div className="space-y-1">
-            <h3 className="text-lg font-semibold">Balance</h3>
-            <div className="text-gray-600 dark:text-gray-400">{formatINR(balance)}</div>
+            <h3 className="text-lg font-semibold">Closing</h3>
+            <div className="text-gray-600 dark:text-gray-400">{formatINR(statement.closingBalance)}</div>
           </div>
         </div>
         <div className="space-y-3">
           <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={statement}>
+            <BarChart data={entries}>
               <XAxis dataKey="date" />
               <YAxis />
               <Tooltip />
@@ -1029,7 +1843,7 @@ function AppContent() {
   const SettingsPage = () => {
     const [newTheme, setNewTheme] = useState(theme);
     const [newProfileImage, setNewProfileImage] = useState(profileImage);
-    const [newBalance, setNewBalance] = useState(balance);
+    const [newBalance, setNewBalance] = useState(ledgerBalance);
     const [showDelete, setShowDelete] = useState(false);
     const [confirmPw, setConfirmPw] = useState("");
     const [showLogout, setShowLogout] = useState(false);
@@ -1279,12 +2093,17 @@ function AppContent() {
   
   const BillRemindersPage = () => {
     const [showAddForm, setShowAddForm] = useState(false);
-    const [newBill, setNewBill] = useState({
+    const emptyBill = {
       description: "",
       amount: "",
       dueDate: todayISO(),
       category: "Utilities",
-    });
+      repeat: "none",
+      interval: 1,
+      remindDaysBefore: "",
+    };
+    const [newBill, setNewBill] = useState(emptyBill);
+    const [historyFor, setHistoryFor] = useState(null); // id of the bill whose history is open
     
     const handleInputChange = (e) => {
       const { name, value } = e.target;
@@ -1294,12 +2113,7 @@ function AppContent() {
     const handleSubmit = (e) => {
       e.preventDefault();
       addBillReminderLocal(newBill);
-      setNewBill({
-        description: "",
-        amount: "",
-        dueDate: todayISO(),
-        category: "Utilities",
-      });
+      setNewBill(emptyBill);
       setShowAddForm(false);
     };
     
@@ -1382,6 +2196,55 @@ function AppContent() {
                   required 
                 />
               </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Repeats</label>
+                  <select 
+                    name="repeat" 
+                    value={newBill.repeat} 
+                    onChange={handleInputChange} 
+                    className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
+                  >
+                    <option value="none">Does not repeat</option>
+                    <option value="WEEKLY">Weekly</option>
+                    <option value="MONTHLY">Monthly</option>
+                    <option value="YEARLY">Yearly</option>
+                  </select>
+                </div>
+                {newBill.repeat !== "none" && (
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Every</label>
+                    <input 
+                      type="number" 
+                      name="interval" 
+                      value={newBill.interval} 
+                      onChange={handleInputChange} 
+                      className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700" 
+                      min="1" 
+                      step="1" 
+                      required 
+                    />
+                  </div>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Remind Me (days before)</label>
+                <input 
+                  type="number" 
+                  name="remindDaysBefore" 
+                  value={newBill.remindDaysBefore} 
+                  onChange={handleInputChange} 
+                  placeholder={`Default (${notificationSettings?.leadDays ?? DEFAULT_LEAD_DAYS})`} 
+                  className="w-full p-2 border rounded dark:bg-gray-800 dark:border-gray-700" 
+                  min="0" 
+                  step="1" 
+                />
+              </div>
+              {newBill.repeat !== "none" && newBill.dueDate && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {describeRule(buildRule({ freq: newBill.repeat, interval: newBill.interval }, newBill.dueDate), newBill.dueDate)}. Paying the bill adds the next one.
+                </p>
+              )}
               <button 
                 type="submit" 
                 className="w-full py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
@@ -1402,36 +2265,75 @@ function AppContent() {
                   const today = new Date();
                   today.setHours(0, 0, 0, 0);
                   const isOverdue = dueDate < today;
+                  const history = billHistory(billReminders, bill);
+                  const payments = billPayments.filter(p => p.bill_id === bill.id);
+                  const status = billStatus(bill);
                   
                   return (
                     <Card 
                       key={bill.id} 
-                      className={`flex justify-between items-center ${isOverdue ? 'border-l-4 border-red-500' : ''}`}
+                      className={`${isOverdue ? 'border-l-4 border-red-500' : ''} ${bill.id === focusedBillId ? 'ring-2 ring-indigo-500' : ''}`}
                     >
-                      <div>
-                        <h3 className="font-medium">{bill.description}</h3>
-                        <div className="text-sm text-gray-600 dark:text-gray-400">
-                          {bill.category} • Due: {formatDate(bill.due_date)}
-                          {isOverdue && <span className="text-red-500 ml-2">OVERDUE</span>}
+                      <div className="flex justify-between items-center">
+                        <div>
+                          <h3 className="font-medium">{bill.description}<SyncBadge status={syncStatus[bill.id]} /></h3>
+                          <div className="text-sm text-gray-600 dark:text-gray-400">
+                            {bill.category} • Due: {formatDate(bill.due_date)}
+                            {isRecurringBill(bill) && <> • {describeRule(parseRule(bill.recurrence_rule), bill.start_date || bill.due_date)}</>}
+                            {isOverdue && <span className="text-red-500 ml-2">OVERDUE</span>}
+                            {status === "partial" && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">{BILL_STATUS_LABELS.partial}</span>}
+                          </div>
+                          {status === "partial" && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                              Paid {formatINR(bill.paid_amount)} of {formatINR(bill.amount)} • {formatINR(billRemaining(bill))} left
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          <div className="font-semibold">{formatINR(status === "partial" ? billRemaining(bill) : bill.amount)}</div>
+                          <button 
+                            onClick={() => setPayingBillId(bill.id)}
+                            className="p-1 bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200 rounded hover:bg-green-200 dark:hover:bg-green-800"
+                            title="Pay bill"
+                          >
+                            ✓
+                          </button>
+                          <button 
+                            onClick={() => deleteBillReminderLocal(bill.id)}
+                            className="p-1 bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 rounded hover:bg-red-200 dark:hover:bg-red-800"
+                            title="Delete bill reminder"
+                          >
+                            ✕
+                          </button>
                         </div>
                       </div>
-                      <div className="flex items-center space-x-3">
-                        <div className="font-semibold">{formatINR(bill.amount)}</div>
-                        <button 
-                          onClick={() => markBillAsPaidLocal(bill.id)}
-                          className="p-1 bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200 rounded hover:bg-green-200 dark:hover:bg-green-800"
-                          title="Mark as paid"
-                        >
-                          ✓
-                        </button>
-                        <button 
-                          onClick={() => deleteBillReminderLocal(bill.id)}
-                          className="p-1 bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 rounded hover:bg-red-200 dark:hover:bg-red-800"
-                          title="Delete bill reminder"
-                        >
-                          ✕
-                        </button>
-                      </div>
+                      {payments.length > 0 && (
+                        <ul className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                          {payments.map(p => (
+                            <li key={p.id}>{formatDate(p.date)}: {formatINR(p.amount)}</li>
+                          ))}
+                        </ul>
+                      )}
+                      {history.length > 0 && (
+                        <>
+                          <button 
+                            onClick={() => setHistoryFor(historyFor === bill.id ? null : bill.id)} 
+                            className="mt-2 text-xs text-indigo-600 dark:text-indigo-400 hover:underline"
+                          >
+                            {historyFor === bill.id ? "Hide history" : `Payment history (${history.length})`}
+                          </button>
+                          {historyFor === bill.id && (
+                            <ul className="mt-2 divide-y dark:divide-gray-700 text-sm">
+                              {history.map(paidBill => (
+                                <li key={paidBill.id} className="py-1 flex justify-between">
+                                  <span>Due {formatDate(paidBill.due_date)}{paidBill.paid_date && <> • Paid {formatDate(paidBill.paid_date)}</>}</span>
+                                  <span>{formatINR(paidBill.paid_amount ?? paidBill.amount)}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </>
+                      )}
                     </Card>
                   );
                 })}
@@ -1446,13 +2348,13 @@ function AppContent() {
                 {paidBills.map(bill => (
                   <Card key={bill.id} className="flex justify-between items-center opacity-70">
                     <div>
-                      <h3 className="font-medium">{bill.description}</h3>
+                      <h3 className="font-medium">{bill.description}<SyncBadge status={syncStatus[bill.id]} /></h3>
                       <div className="text-sm text-gray-600 dark:text-gray-400">
-                        {bill.category} • Paid • Due: {formatDate(bill.due_date)}
+                        {bill.category} • {bill.paid_date ? `Paid ${formatDate(bill.paid_date)}` : "Paid"} • Due: {formatDate(bill.due_date)}
                       </div>
                     </div>
                     <div className="flex items-center space-x-3">
-                      <div className="font-semibold">{formatINR(bill.amount)}</div>
+                      <div className="font-semibold">{formatINR(bill.paid_amount ?? bill.amount)}</div>
                       <button 
                         onClick={() => deleteBillReminderLocal(bill.id)}
                         className="p-1 bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 rounded hover:bg-red-200 dark:hover:bg-red-800"
@@ -1485,6 +2387,45 @@ function AppContent() {
   
   const AccountStatementPage = () => {
     const statement = generateStatement();
+    const [exportBusy, setExportBusy] = useState(false);
+    const canShareFiles = typeof navigator.canShare === 'function';
+    
+    // create: resolves to the File to download
+    const handleDownload = async (create, label) => {
+      setExportBusy(true);
+      try {
+        const file = await create();
+        const url = URL.createObjectURL(file);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = file.name;
+        a.click();
+        URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error(`Error generating statement ${label}:`, error);
+        alert(`Could not generate the ${label} statement`);
+      }
+      setExportBusy(false);
+    };
+    
+    const handleSharePdf = async () => {
+      setExportBusy(true);
+      try {
+        const file = await createStatementPdf();
+        if (navigator.canShare({ files: [file] })) {
+          await navigator.share({ files: [file], title: 'Account statement' });
+        } else {
+          alert('Sharing PDF files is not supported on this device. Use Download PDF instead.');
+        }
+      } catch (error) {
+        // Closing the share sheet is not an error
+        if (error.name !== 'AbortError') {
+          console.error('Error sharing statement PDF:', error);
+          alert('Could not share the PDF statement');
+        }
+      }
+      setExportBusy(false);
+    };
     
     return (
       <div className="space-y-4">
@@ -1531,20 +2472,38 @@ function AppContent() {
           <div className="border-t dark:border-gray-800 pt-4">
             <div className="flex justify-between font-medium mb-2 text-sm">
               <div>Account Number</div>
-              <div>{accountNumber || user?.email?.split('@')[0] || 'N/A'}</div>
+              <div>{activeAccount ? (activeAccount.account_number || 'N/A') : 'All accounts'}</div>
             </div>
             <div className="flex justify-between font-medium mb-4 text-sm">
               <div>Account Holder</div>
               <div>{user?.user_metadata?.full_name || user?.email || 'N/A'}</div>
             </div>
             
+            <div className="flex justify-between text-sm mb-1">
+              <div>Opening Balance ({formatDate(statement.start)})</div>
+              <div>{formatINR(statement.openingBalance)}</div>
+            </div>
+            <div className="flex justify-between text-sm mb-1">
+              <div>Credits</div>
+              <div className="text-green-600 dark:text-green-400">{formatINR(statement.totalCredits)}</div>
+            </div>
+            <div className="flex justify-between text-sm mb-1">
+              <div>Debits</div>
+              <div className="text-red-600 dark:text-red-400">{formatINR(-statement.totalDebits)}</div>
+            </div>
             <div className="flex justify-between font-semibold mb-2 pb-2 border-b dark:border-gray-800">
-              <div>Current Balance</div>
-              <div>{formatINR(balance)}</div>
+              <div>Closing Balance ({formatDate(statement.end)})</div>
+              <div>{formatINR(statement.closingBalance)}</div>
             </div>
+            {statement.closingBalance !== ledgerBalance && (
+              <div className="flex justify-between text-xs opacity-70 mb-2">
+                <div>Current Balance</div>
+                <div>{formatINR(ledgerBalance)}</div>
+              </div>
+            )}
           </div>
           
-          {statement.length > 0 ? (
+          {statement.rows.length > 0 ? (
             <div className="mt-4">
               <h3 className="font-medium mb-2">Transaction History</h3>
               <div className="overflow-x-auto">
@@ -1555,42 +2514,178 @@ function AppContent() {
                       <th className="pb-2">Description</th>
                       <th className="pb-2">Category</th>
                       <th className="pb-2 text-right">Amount</th>
+                      <th className="pb-2 text-right">Balance</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {statement.map(txn => (
+                    <tr className="border-b dark:border-gray-800 italic opacity-80">
+                      <td className="py-2">{formatDate(statement.start)}</td>
+                      <td className="py-2" colSpan={3}>Opening balance</td>
+                      <td className="py-2 text-right">{formatINR(statement.openingBalance)}</td>
+                    </tr>
+                    {statement.rows.map(txn => (
                       <tr key={txn.id} className="border-b dark:border-gray-800">
                         <td className="py-2">{formatDate(txn.date)}</td>
-                        <td className="py-2">{txn.description}</td>
+                        <td className="py-2">{txn.description}<SyncBadge status={syncStatus[txn.transfer_id || txn.id]} /></td>
                         <td className="py-2">{txn.category}</td>
                         <td className={`py-2 text-right ${txn.amount >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
                           {formatINR(txn.amount)}
                         </td>
+                        <td className="py-2 text-right">{formatINR(txn.running_balance)}</td>
                       </tr>
                     ))}
+                    <tr className="font-semibold">
+                      <td className="py-2">{formatDate(statement.end)}</td>
+                      <td className="py-2" colSpan={3}>Closing balance</td>
+                      <td className="py-2 text-right">{formatINR(statement.closingBalance)}</td>
+                    </tr>
                   </tbody>
                 </table>
               </div>
               
-              <div className="mt-4 flex justify-end">
-                <button 
-                  onClick={() => window.print()}
-                  className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-sm"
-                >
-                  Print Statement
-                </button>
-              </div>
             </div>
           ) : (
             <div className="text-center py-8 text-gray-500 dark:text-gray-400">
               <p>No transactions found for the selected period.</p>
             </div>
           )}
+          
+          <div className="mt-4 flex flex-wrap justify-end gap-2">
+            <button 
+              onClick={() => handleDownload(() => createStatementSpreadsheet('csv'), 'CSV')}
+              disabled={exportBusy}
+              className="px-3 py-1 bg-gray-200 dark:bg-gray-800 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-700 text-sm disabled:opacity-50"
+            >
+              CSV
+            </button>
+            <button 
+              onClick={() => handleDownload(() => createStatementSpreadsheet('xlsx'), 'Excel')}
+              disabled={exportBusy}
+              className="px-3 py-1 bg-gray-200 dark:bg-gray-800 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-700 text-sm disabled:opacity-50"
+            >
+              Excel
+            </button>
+            {canShareFiles && (
+              <button 
+                onClick={handleSharePdf}
+                disabled={exportBusy}
+                className="px-3 py-1 bg-gray-200 dark:bg-gray-800 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-700 text-sm disabled:opacity-50"
+              >
+                Share PDF
+              </button>
+            )}
+            <button 
+              onClick={() => handleDownload(createStatementPdf, 'PDF')}
+              disabled={exportBusy}
+              className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-sm disabled:opacity-50"
+            >
+              {exportBusy ? 'Preparing...' : 'Download PDF'}
+            </button>
+          </div>
         </Card>
       </div>
     );
   };
   
+  const ReconciliationPage = () => {
+    const [rows, setRows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [postingId, setPostingId] = useState(null);
+
+    const loadReconciliation = async () => {
+      setLoading(true);
+      setRows(await getAccountReconciliation(user.email));
+      setLoading(false);
+    };
+
+    useEffect(() => {
+      loadReconciliation();
+    }, []);
+
+    // Records the drift as an adjustment entry so the ledger matches the
+    // stored balance again. Needs a connection: the drift is computed on the
+    // server at the moment the adjustment is posted.
+    const handlePostAdjustment = async (row) => {
+      const drift = Number(row.drift) || 0;
+      if (!window.confirm(`Post an adjustment of ${formatINR(drift)} to the ledger?`)) return;
+      setPostingId(row.account_id);
+      const entry = await postBalanceAdjustment(crypto.randomUUID(), row.account_id, todayISO(), 'Balance adjustment');
+      if (entry) {
+        setTransactions(prev => [entry, ...prev]);
+      }
+      await loadReconciliation();
+      setPostingId(null);
+    };
+
+    return (
+      <div className="space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-semibold">Reconciliation</h2>
+          <button 
+            onClick={() => setCurrentPage("dashboard")}
+            className="px-3 py-1 bg-gray-200 dark:bg-gray-800 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-700 text-sm"
+          >
+            Back
+          </button>
+        </div>
+
+        {loading ? (
+          <Card>
+            <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+              <p>Loading...</p>
+            </div>
+          </Card>
+        ) : rows.length === 0 ? (
+          <Card>
+            <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+              <p>Reconciliation needs a connection and a saved account.</p>
+            </div>
+          </Card>
+        ) : (
+          rows.map(row => {
+            const account = accounts.find(a => a.id === row.account_id);
+            const drift = Number(row.drift) || 0;
+            return (
+              <Card key={row.account_id}>
+                <div className="space-y-2 text-sm">
+                  <h3 className="font-semibold text-base">{account?.name || 'Account'}</h3>
+                  <div className="flex justify-between">
+                    <div>Stored balance</div>
+                    <div>{formatINR(Number(row.stored_balance))}</div>
+                  </div>
+                  <div className="flex justify-between">
+                    <div>Ledger balance</div>
+                    <div>{formatINR(Number(row.ledger_balance))}</div>
+                  </div>
+                  <div className="flex justify-between font-semibold pt-2 border-t dark:border-gray-800">
+                    <div>Drift</div>
+                    <div className={drift === 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                      {formatINR(drift)}
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 pt-2">
+                    {drift === 0
+                      ? 'The stored balance matches the sum of the transactions.'
+                      : 'The stored balance differs from the sum of the transactions. Posting an adjustment adds an entry for the difference.'}
+                  </p>
+                  <div className="flex justify-end pt-2">
+                    <button 
+                      onClick={() => handlePostAdjustment(row)}
+                      disabled={drift === 0 || postingId !== null || !navigator.onLine}
+                      className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-sm disabled:opacity-50"
+                    >
+                      {postingId === row.account_id ? 'Posting...' : 'Post adjustment'}
+                    </button>
+                  </div>
+                </div>
+              </Card>
+            );
+          })
+        )}
+      </div>
+    );
+  };
+
   const ProfilePage = () => {
     const [showEdit, setShowEdit] = useState(false);
     const [newName, setNewName] = useState(user?.user_metadata?.full_name || '');
@@ -1732,34 +2827,45 @@ function AppContent() {
       <div className="max-w-md mx-auto p-4 pb-24">
         <Header 
           user={user} 
+          accounts={accounts}
+          activeAccountId={activeAccount?.id || null}
+          onAccountChange={setActiveAccountId}
           onSettings={() => setCurrentPage("settings")} 
           onLogout={() => setShowLogout(true)} 
           onProfileClick={() => setCurrentPage("profile")}
           profileImage={profileImage}
+          notifications={notifications || []}
+          onOpenNotification={openNotification}
+          onMarkAllNotificationsRead={() => markNotificationsAsRead(notifications || []).catch(console.error)}
         />
         <main className="mt-4 space-y-4">
           {currentPage === "dashboard" && user && (
             <Dashboard 
               user={user} 
-              transactions={transactions} 
+              transactions={accountTransactions} 
+              allTransactions={transactions}
+              setTransactions={setTransactions}
+              syncStatus={syncStatus}
               onAdd={addTransaction} 
+              onTransfer={addTransfer} 
+              scheduledTransactions={filterByAccount(scheduledTransactions, activeAccount?.id)} 
+              onCancelScheduled={cancelScheduledTransaction} 
               onRecurringPayments={() => setCurrentPage("recurringPayments")} 
               onBillReminders={() => setCurrentPage("billReminders")} 
               onStatements={() => setCurrentPage("statements")} 
+              onReconcile={() => setCurrentPage("reconcile")} 
               onProfileClick={() => setCurrentPage("profile")}
               profileImage={profileImage}
               showBalance={showBalance}
               setShowBalance={setShowBalance}
-              balance={balance}
-              setBalance={setBalance}
-              accountNumber={accountNumber}
-              setAccountNumber={setAccountNumber}
-              accountId={accountId}
-              setAccountId={setAccountId}
+              accounts={accounts}
+              setAccounts={setAccounts}
+              activeAccount={activeAccount}
+              onSelectAccount={setActiveAccountId}
               showBalancePopup={showBalancePopup}
               setShowBalancePopup={setShowBalancePopup}
-              newBalance={newBalance}
-              setNewBalance={setNewBalance}
+              launchAction={launchAction}
+              onLaunchActionHandled={() => setLaunchAction(null)}
             />
           )}
           {currentPage === "profile" && user && (
@@ -1770,22 +2876,30 @@ function AppContent() {
                 currentTheme={theme}
                 onProfileImageChange={handleProfileImageChange}
                 profileImage={profileImage}
-                accountNumber={accountNumber}
-                balance={balance}
+                accountNumber={(activeAccount || accounts[0])?.account_number}
+                balance={ledgerBalance}
               />
             </div>
           )}
           {currentPage === "recurringPayments" && user && <RecurringPaymentsPage />}
           {currentPage === "billReminders" && user && <BillRemindersPage />}
           {currentPage === "statements" && user && <AccountStatementPage />}
+          {currentPage === "reconcile" && user && <ReconciliationPage />}
           {currentPage === "settings" && user && (
             <Settings
               user={user}
               onBack={() => setCurrentPage("dashboard")}
               onForgot={() => setCurrentPage("forgot")}
-              onExport={exportJSON}
-              onImport={importJSON}
+              onExport={() => setShowBackupDialog(true)}
+              onImport={handleImportFile}
+              outboxEntries={outboxEntries}
+              onSyncNow={() => flushOutbox(user.email)}
+              onRetryFailed={() => retryFailedMutations(user.email)}
+              onDiscardFailed={() => discardFailedMutations(user.email)}
               onDelete={() => setShowDelete(true)}
+              notificationSettings={notificationSettings}
+              onNotificationSettingsChange={updateNotificationSettings}
+              onTestNotification={sendTestReminder}
             />
           )}
           {currentPage === "forgot" && user && (
@@ -1801,6 +2915,54 @@ function AppContent() {
         </main>
       </div>
 
+      {importFile && (
+        <ImportWizard 
+          file={importFile} 
+          accounts={accounts} 
+          transactions={transactions} 
+          defaultAccountId={postingAccountId} 
+          onImport={handleImportConfirmed} 
+          onClose={() => setImportFile(null)} 
+        />
+      )}
+
+      {payingBillId && billReminders.some(b => b.id === payingBillId) && (
+        <PayBillDialog 
+          bill={billReminders.find(b => b.id === payingBillId)} 
+          payments={billPayments.filter(p => p.bill_id === payingBillId)} 
+          onPay={async (payment) => {
+            setPayingBillId(null);
+            await markBillAsPaidLocal(payingBillId, payment);
+          }} 
+          onClose={() => setPayingBillId(null)} 
+        />
+      )}
+
+      {showBackupDialog && (
+        <BackupDialog 
+          onExport={async (passphrase) => {
+            await exportJSON(passphrase);
+            setShowBackupDialog(false);
+          }} 
+          onClose={() => setShowBackupDialog(false)} 
+        />
+      )}
+
+      {lockedBackup && (
+        <UnlockBackupDialog 
+          onUnlock={unlockBackup} 
+          onClose={() => setLockedBackup(null)} 
+        />
+      )}
+
+      {pendingRestore && (
+        <RestoreBackupDialog 
+          backup={pendingRestore} 
+          onRestore={restoreBackup} 
+          onClose={() => setPendingRestore(null)} 
+        />
+      )}
+
       {/* Fabulous confirmation dialogs */}
       <Modal open={showLogout} onClose={() => setShowLogout(false)} title="Confirm Logout">
         <p className="text-sm opacity-80 mb-3">Confirm logout from your account.</p>
@@ -1823,20 +2985,26 @@ function AppContent() {
 }
 
 /******************** Screens *****************************/
-function Header({ user, onSettings, onLogout, onProfileClick, profileImage }) {
+function Header({ user, accounts = [], activeAccountId, onAccountChange, onSettings, onLogout, onProfileClick, profileImage,
+                  notifications = [], onOpenNotification, onMarkAllNotificationsRead }) {
   const [showDropdown, setShowDropdown] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const unreadCount = notifications.filter(isUnread).length;
 
-  // Close dropdown when clicking outside
+  // Close dropdowns when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (showDropdown && !event.target.closest('.profile-dropdown')) {
         setShowDropdown(false);
       }
+      if (showNotifications && !event.target.closest('.notifications-dropdown')) {
+        setShowNotifications(false);
+      }
     };
     
     document.addEventListener('click', handleClickOutside);
     return () => document.removeEventListener('click', handleClickOutside);
-  }, [showDropdown]);
+  }, [showDropdown, showNotifications]);
 
   // Default profile image as a gradient circle
   const defaultProfileImage = (
@@ -1851,8 +3019,72 @@ function Header({ user, onSettings, onLogout, onProfileClick, profileImage }) {
         <div>
           <p className="text-xs text-gray-500 dark:text-gray-400">{user ? "Welcome back," : "Welcome to"}</p>
           <h1 className="font-bold text-lg">{user ? (user.user_metadata?.full_name || user.email) : "MyBank"}</h1>
+          {user && accounts.length > 0 && (
+            <select 
+              value={activeAccountId || ''} 
+              onChange={(e) => onAccountChange(e.target.value || null)}
+              className="mt-1 text-xs rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              aria-label="Account"
+            >
+              <option value="">All accounts</option>
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>{account.name}</option>
+              ))}
+            </select>
+          )}
         </div>
         <div className="flex items-center gap-2">
+          {user && (
+            <div className="notifications-dropdown relative">
+              <button 
+                onClick={() => setShowNotifications(!showNotifications)}
+                className="relative w-10 h-10 rounded-full bg-gray-100 dark:bg-gray-800 flex items-center justify-center text-lg"
+                aria-label={unreadCount ? `Notifications (${unreadCount} unread)` : "Notifications"}
+              >
+                🔔
+                {unreadCount > 0 && (
+                  <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+                    {unreadCount > 99 ? "99+" : unreadCount}
+                  </span>
+                )}
+              </button>
+              
+              {showNotifications && (
+                <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-lg z-20 border border-gray-200 dark:border-gray-700">
+                  <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+                    <span className="font-semibold text-sm">Notifications</span>
+                    {unreadCount > 0 && (
+                      <button onClick={onMarkAllNotificationsRead} className="text-xs text-indigo-600 dark:text-indigo-400">Mark all as read</button>
+                    )}
+                  </div>
+                  {notifications.length === 0 ? (
+                    <p className="px-4 py-6 text-sm text-center opacity-70">No notifications yet.</p>
+                  ) : (
+                    notifications.map((notification) => (
+                      <button 
+                        key={notification.id}
+                        onClick={() => {
+                          onOpenNotification(notification);
+                          setShowNotifications(false);
+                        }}
+                        className={`block w-full text-left px-4 py-2 border-b last:border-b-0 border-gray-100 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 ${isUnread(notification) ? "bg-indigo-50 dark:bg-indigo-900/20" : ""}`}
+                      >
+                        <div className="flex items-start gap-2">
+                          <span className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${isUnread(notification) ? "bg-indigo-600" : "bg-transparent"}`} />
+                          <div className="min-w-0">
+                            <p className="text-[10px] uppercase tracking-wide opacity-60">{NOTIFICATION_KINDS[notification.kind] || notification.kind}</p>
+                            <p className={`text-sm ${isUnread(notification) ? "font-semibold" : ""}`}>{notification.title}</p>
+                            {notification.body && <p className="text-xs opacity-70 break-words">{notification.body}</p>}
+                            <p className="text-[10px] opacity-50 mt-0.5">{new Date(notification.created_at).toLocaleString()}</p>
+                          </div>
+                        </div>
+                      </button>
+                    ))
+                  )}
+                </div>
+              )}
+            </div>
+          )}
           {user && (
             <div className="profile-dropdown relative">
               <button 
@@ -1955,182 +3187,310 @@ function LoginForm({ onSubmit, onBack }) {
   );
 }
 
-function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillReminders, onStatements, 
-                   onProfileClick, profileImage, showBalance, setShowBalance, balance, setBalance, 
-                   accountNumber, setAccountNumber, accountId, setAccountId,
-                   showBalancePopup, setShowBalancePopup, newBalance, setNewBalance }) {
-  const total = balance || 0;
-  const recent = useMemo(() => [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5), [transactions]);
+function Dashboard({ user, transactions, allTransactions, setTransactions, syncStatus, onAdd, onTransfer, scheduledTransactions = [], onCancelScheduled, onRecurringPayments, onBillReminders, onStatements, onReconcile, 
+                   onProfileClick, profileImage, showBalance, setShowBalance, 
+                   accounts, setAccounts, activeAccount, onSelectAccount,
+                   showBalancePopup, setShowBalancePopup,
+                   launchAction, onLaunchActionHandled }) {
+  // Balance and running balance are derived from the ledger, not read from accounts.balance.
+  // `transactions` holds the selected account only (all accounts in the consolidated view).
+  const total = useMemo(() => getLedgerBalance(transactions), [transactions]);
+  const recent = useMemo(() => withRunningBalance(transactions).reverse().slice(0, 5), [transactions]);
+  const accountBalances = useMemo(() => getBalancesByAccount(accounts, allTransactions), [accounts, allTransactions]);
+  const consolidatedTotal = useMemo(() => getLedgerBalance(allTransactions), [allTransactions]);
   
   // State for transaction editing
   const [editingTransaction, setEditingTransaction] = useState(null);
-  const [editForm, setEditForm] = useState({ type: 'expense', amount: '', description: '', category: 'Food' });
+  const [editForm, setEditForm] = useState({ type: 'expense', amount: '', description: '', category: 'Food', date: todayISO(), time: '' });
   
   // State for account number visibility
   const [showAccountNumber, setShowAccountNumber] = useState(true);
+  
+  // Account shown in the account details popup (null adds a new account)
+  const [editedAccount, setEditedAccount] = useState(null);
+  const [accountForm, setAccountForm] = useState({ name: '', type: 'savings', account_number: '', opening: '', openingDate: todayISO() });
+
+  const openAccountEditor = (account) => {
+    setEditedAccount(account);
+    setShowBalancePopup(true);
+  };
+
+  const closeAccountEditor = () => {
+    setShowBalancePopup(false);
+    setEditedAccount(null);
+  };
 
-  const handleSaveBalance = async () => {
-    const balanceValue = parseFloat(newBalance);
-    if (!isNaN(balanceValue) && user) {
-      if (accountId) {
-        // Update existing account
-        const updatedAccount = await updateSupabaseAccount(accountId, {
-          balance: balanceValue,
-          account_number: accountNumber
+  const handleSaveAccount = async () => {
+    if (!user || !accountForm.name.trim()) return;
+    const balanceValue = parseFloat(accountForm.opening);
+    const details = {
+      name: accountForm.name.trim(),
+      type: accountForm.type,
+      account_number: accountForm.account_number,
+    };
+    try {
+      let account = editedAccount;
+      if (account) {
+        // Update existing account details
+        await mutateOrQueue({
+          ownerEmail: user.email,
+          table: 'accounts',
+          op: 'update',
+          rowId: account.id,
+          payload: details,
         });
-        if (updatedAccount) {
-          setBalance(balanceValue);
-          setAccountId(updatedAccount.id);
-        }
+        account = { ...account, ...details };
+        setAccounts(prev => prev.map(a => a.id === account.id ? account : a));
       } else {
-        // Create new account with the balance and account number
-        const newAccount = await createSupabaseAccount({
+        // New accounts start at zero; the opening balance below is then added
+        // by apply_transaction
+        account = {
+          id: crypto.randomUUID(),
           owner_email: user.email,
-          balance: balanceValue,
-          account_number: accountNumber
+          balance: 0,
+          ...details,
+          created_at: new Date().toISOString(),
+        };
+        const { data } = await mutateOrQueue({
+          ownerEmail: user.email,
+          table: 'accounts',
+          op: 'insert',
+          rowId: account.id,
+          payload: account,
         });
-        if (newAccount) {
-          setBalance(balanceValue);
-          setAccountId(newAccount.id);
+        account = data || account;
+        setAccounts(prev => [...prev, account]);
+        onSelectAccount(account.id);
+        
+        // Transactions recorded before the first account existed move into it
+        if (accounts.length === 0) {
+          const unassigned = allTransactions.filter(t => !t.account_id);
+          for (const t of unassigned) {
+            await mutateOrQueue({
+              ownerEmail: user.email,
+              table: 'transactions',
+              op: 'update',
+              rowId: t.id,
+              payload: { account_id: account.id },
+            });
+          }
+          setTransactions(prev => prev.map(t => t.account_id ? t : { ...t, account_id: account.id }));
+        }
+      }
+      
+      // The balance is entered as an opening balance in the ledger rather
+      // than written to accounts.balance
+      if (!isNaN(balanceValue)) {
+        const openingEntry = editedAccount && getOpeningBalanceEntry(filterByAccount(allTransactions, editedAccount.id));
+        const opening = {
+          account_id: account.id,
+          type: 'opening_balance',
+          amount: balanceValue,
+          description: 'Opening balance',
+          category: 'Opening Balance',
+          date: accountForm.openingDate,
+        };
+        if (openingEntry) {
+          const { data } = await mutateOrQueue({
+            ownerEmail: user.email,
+            table: 'transactions',
+            op: 'update',
+            rowId: openingEntry.id,
+            payload: opening,
+          });
+          setTransactions(prev => prev.map(t => t.id === openingEntry.id ? (data || { ...t, ...opening }) : t));
+        } else {
+          const entry = { ...opening, id: crypto.randomUUID(), owner_email: user.email };
+          const { data } = await mutateOrQueue({
+            ownerEmail: user.email,
+            table: 'transactions',
+            op: 'insert',
+            rowId: entry.id,
+            payload: entry,
+          });
+          setTransactions(prev => [data || { ...entry, created_at: new Date().toISOString() }, ...prev]);
         }
       }
-      setShowBalancePopup(false);
-      setNewBalance('');
+    } catch (error) {
+      console.error('Error saving account details:', error);
     }
+    closeAccountEditor();
   };
 
+  // Prefill the account details popup with the account and its opening balance
+  useEffect(() => {
+    if (!showBalancePopup) return;
+    const openingEntry = editedAccount && getOpeningBalanceEntry(filterByAccount(allTransactions, editedAccount.id));
+    setAccountForm({
+      name: editedAccount?.name || (accounts.length === 0 ? 'Main account' : ''),
+      type: editedAccount?.type || 'savings',
+      account_number: editedAccount?.account_number || '',
+      opening: openingEntry ? String(openingEntry.amount) : '',
+      openingDate: openingEntry?.date || todayISO(),
+    });
+  }, [showBalancePopup, editedAccount]);
+
   // Function to start editing a transaction
   const startEditingTransaction = (transaction) => {
     setEditingTransaction(transaction);
+    if (isTransfer(transaction)) {
+      // Both legs are edited together, as one transfer
+      const { debit, credit } = getTransferLegs(allTransactions, transaction.transfer_id);
+      setEditForm({
+        type: 'transfer',
+        amount: Math.abs(transaction.amount),
+        description: transaction.description,
+        date: transaction.date,
+        fromAccountId: debit?.account_id,
+        toAccountId: credit?.account_id
+      });
+      return;
+    }
     setEditForm({
       type: transaction.type,
       amount: Math.abs(transaction.amount),
       description: transaction.description,
-      category: transaction.category
+      category: transaction.category,
+      date: transaction.date,
+      time: formatTimeOfDay(transaction.time_of_day)
     });
   };
 
+  const saveEditedTransfer = async () => {
+    const transferId = editingTransaction.transfer_id;
+    const legs = getTransferLegs(allTransactions, transferId);
+    if (!legs.debit || !legs.credit || editForm.fromAccountId === editForm.toAccountId) return;
+    
+    const payload = {
+      ...toTransferPayload(legs),
+      from_account_id: editForm.fromAccountId,
+      to_account_id: editForm.toAccountId,
+      amount: Math.abs(Number(editForm.amount)),
+      description: editForm.description,
+      date: editForm.date || legs.debit.date,
+    };
+    const oldLegs = [legs.debit, legs.credit];
+    const replaceLegs = (newLegs) => setTransactions(prev => [...newLegs, ...prev.filter(t => t.transfer_id !== transferId)]);
+    
+    // Update both legs immediately for instant UI feedback
+    replaceLegs(buildTransferLegs(transferId, user.email, payload).map((leg, i) => ({ ...oldLegs[i], ...leg })));
+    setEditingTransaction(null);
+    
+    try {
+      // Update in Supabase in the background
+      const { data: storedLegs } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'transfers',
+        op: 'update',
+        rowId: transferId,
+        payload,
+      });
+      if (storedLegs?.length) {
+        replaceLegs(storedLegs);
+      }
+    } catch (error) {
+      // Supabase rejected the update: revert local changes
+      console.error('Error updating transfer:', error);
+      replaceLegs(oldLegs);
+    }
+  };
+
   // Function to save edited transaction
   const saveEditedTransaction = async () => {
     if (!editingTransaction || !user) return;
+    if (isTransfer(editingTransaction)) return saveEditedTransfer();
+    
+    // Calculate the new amount based on type
+    const amountValue = Number(editForm.amount) * (editForm.type === "expense" ? -1 : 1);
+    const updates = {
+      type: editForm.type,
+      amount: amountValue,
+      description: editForm.description,
+      category: editForm.category,
+      date: editForm.date || editingTransaction.date,
+      time_of_day: editForm.time || null
+    };
+    
+    // Update local state immediately for instant UI feedback
+    const oldTransaction = { ...editingTransaction };
+    setTransactions(prev => prev.map(t => 
+      t.id === editingTransaction.id ? { ...editingTransaction, ...updates } : t
+    ));
+    
+    // Close edit modal immediately
+    setEditingTransaction(null);
     
     try {
-      // Calculate the new amount based on type
-      const amountValue = Number(editForm.amount) * (editForm.type === "expense" ? -1 : 1);
-      
-      // Update local state immediately for instant UI feedback
-      const oldTransaction = { ...editingTransaction };
-      const updatedLocalTransaction = {
-        ...editingTransaction,
-        type: editForm.type,
-        amount: amountValue,
-        description: editForm.description,
-        category: editForm.category
-      };
-      
-      setTransactions(prev => prev.map(t => 
-        t.id === editingTransaction.id ? updatedLocalTransaction : t
-      ));
-      
-      // Update balance immediately if needed
-      let newBalance = balance;
-      if (accountId) {
-        // Calculate the difference
-        const oldAmount = editingTransaction.amount;
-        const newAmount = amountValue;
-        const difference = newAmount - oldAmount;
-        
-        newBalance = balance + difference;
-        setBalance(newBalance);
-      }
-      
-      // Close edit modal immediately
-      setEditingTransaction(null);
-      
       // Update in Supabase in the background
-      const updatedTransaction = await updateTransaction(editingTransaction.id, {
-        type: editForm.type,
-        amount: amountValue,
-        description: editForm.description,
-        category: editForm.category
+      const { data: updatedTransaction } = await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'transactions',
+        op: 'update',
+        rowId: oldTransaction.id,
+        payload: updates,
       });
       
       if (updatedTransaction) {
         // If Supabase update was successful, ensure local state matches
         setTransactions(prev => prev.map(t => 
-          t.id === editingTransaction.id ? { ...updatedTransaction } : t
-        ));
-        
-        // Update balance in Supabase in the background
-        if (accountId) {
-          await updateSupabaseAccount(accountId, { balance: newBalance });
-        }
-      } else {
-        // If Supabase update failed, revert local changes
-        setTransactions(prev => prev.map(t => 
-          t.id === editingTransaction.id ? oldTransaction : t
+          t.id === oldTransaction.id ? { ...updatedTransaction } : t
         ));
-        if (accountId) {
-          setBalance(balance);
-        }
       }
     } catch (error) {
+      // Supabase rejected the update: revert local changes
       console.error('Error updating transaction:', error);
+      setTransactions(prev => prev.map(t => 
+        t.id === oldTransaction.id ? oldTransaction : t
+      ));
     }
   };
 
   // Function to delete a transaction
-  const handleDeleteTransaction = (id) => {
+  const handleDeleteTransaction = async (id) => {
     if (!user) return;
     
     // Find the transaction to delete
     const transactionToDelete = transactions.find(t => t.id === id);
     if (!transactionToDelete) return;
     
+    if (isTransfer(transactionToDelete)) {
+      // Deleting either leg deletes the whole transfer
+      const transferId = transactionToDelete.transfer_id;
+      const legs = allTransactions.filter(t => t.transfer_id === transferId);
+      setTransactions(prev => prev.filter(t => t.transfer_id !== transferId));
+      try {
+        await mutateOrQueue({
+          ownerEmail: user.email,
+          table: 'transfers',
+          op: 'delete',
+          rowId: transferId,
+        });
+      } catch (error) {
+        console.error('Error deleting transfer:', error);
+        setTransactions(prev => [...prev, ...legs]);
+        alert('Error deleting transfer. Please try again.');
+      }
+      return;
+    }
+    
     // Update local state immediately for instant UI feedback
     setTransactions(prev => prev.filter(t => t.id !== id));
     
-    // Update balance immediately for instant UI feedback
-    let newBalance = balance;
-    if (accountId) {
-      const amountValue = transactionToDelete.amount;
-      newBalance = balance - amountValue;
-      setBalance(newBalance);
-    }
-    
-    // Delete from Supabase in the background (don't wait for result)
-    deleteSupabaseTransaction(id)
-      .then(async (success) => {
-        if (!success) {
-          console.error('Failed to delete transaction from Supabase');
-          // Revert the UI changes if deletion failed
-          setTransactions(prev => [...prev, transactionToDelete]);
-          if (accountId) {
-            setBalance(balance);
-          }
-          // Show error message to user
-          alert('Failed to delete transaction. Please try again.');
-        } else {
-          // Update balance in Supabase in the background
-          if (accountId) {
-            try {
-              await updateSupabaseAccount(accountId, { balance: newBalance });
-            } catch (error) {
-              console.error('Error updating account balance:', error);
-            }
-          }
-        }
-      })
-      .catch(error => {
-        console.error('Error deleting transaction:', error);
-        // Revert the UI changes if deletion failed
-        setTransactions(prev => [...prev, transactionToDelete]);
-        if (accountId) {
-          setBalance(balance);
-        }
-        // Show error message to user
-        alert('Error deleting transaction. Please try again.');
+    try {
+      // Delete from Supabase in the background
+      await mutateOrQueue({
+        ownerEmail: user.email,
+        table: 'transactions',
+        op: 'delete',
+        rowId: id,
       });
+    } catch (error) {
+      console.error('Error deleting transaction:', error);
+      // Revert the UI changes if deletion failed
+      setTransactions(prev => [...prev, transactionToDelete]);
+      // Show error message to user
+      alert('Error deleting transaction. Please try again.');
+    }
   };
 
   // State for delete confirmation modal
@@ -2152,14 +3512,6 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
     }
   };
 
-  // Load account number from localStorage on component mount
-  useEffect(() => {
-    const savedAccountNumber = localStorage.getItem('accountNumber');
-    if (savedAccountNumber) {
-      setAccountNumber(savedAccountNumber);
-    }
-  }, []);
-
   return (
     <div className="space-y-4">
       {/* Edit Transaction Modal */}
@@ -2179,6 +3531,14 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
             </div>
             <div className="p-4">
               <div className="grid gap-3">
+                {editForm.type === 'transfer' ? (
+                  <TransferAccountFields 
+                    accounts={accounts} 
+                    fromAccountId={editForm.fromAccountId} 
+                    toAccountId={editForm.toAccountId} 
+                    onChange={(changes) => setEditForm(prev => ({ ...prev, ...changes }))} 
+                  />
+                ) : (
                 <div className="grid grid-cols-2 gap-2">
                   <button 
                     className={`px-3 py-2 rounded-lg ${editForm.type === "expense" ? "bg-red-500 text-white" : "bg-gray-200 dark:bg-gray-800"}`} 
@@ -2193,6 +3553,7 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
                     Income
                   </button>
                 </div>
+                )}
                 <Input 
                   label="Amount (₹)" 
                   type="number" 
@@ -2204,6 +3565,13 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
                   value={editForm.description} 
                   onChange={(e) => setEditForm(prev => ({ ...prev, description: e.target.value }))} 
                 />
+                <TransactionDateFields 
+                  date={editForm.date} 
+                  time={editForm.time} 
+                  showTime={editForm.type !== 'transfer'} 
+                  onChange={(changes) => setEditForm(prev => ({ ...prev, ...changes }))} 
+                />
+                {editForm.type !== 'transfer' && (
                 <label className="block">
                   <span className="block text-xs mb-1 opacity-80">Category</span>
                   <select 
@@ -2216,6 +3584,7 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
                     ))}
                   </select>
                 </label>
+                )}
                 <div className="flex justify-end gap-2">
                   <button 
                     className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" 
@@ -2242,9 +3611,9 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
           <div className="w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl shadow-2xl overflow-hidden">
             <div className="px-4 py-3 border-b dark:border-gray-700 bg-gradient-to-r from-indigo-600 to-purple-600 text-white">
               <div className="flex items-center justify-between">
-                <h3 className="font-semibold">Set Your Account Details</h3>
+                <h3 className="font-semibold">{editedAccount ? 'Edit Account' : 'Add Account'}</h3>
                 <button 
-                  onClick={() => setShowBalancePopup(false)}
+                  onClick={closeAccountEditor}
                   className="opacity-90 hover:opacity-100"
                 >
                   ✕
@@ -2253,39 +3622,72 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
             </div>
             <div className="p-4">
               <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-                Enter your account number and current balance to get started.
+                Enter your account details and the balance the account had on the day you start tracking it.
+                Its balance is worked out from this opening balance and its transactions.
               </p>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">Account Name</label>
+                <input 
+                  type="text" 
+                  value={accountForm.name} 
+                  onChange={(e) => setAccountForm(prev => ({ ...prev, name: e.target.value }))} 
+                  className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
+                  placeholder="e.g. Salary account"
+                />
+              </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">Account Type</label>
+                <select 
+                  value={accountForm.type} 
+                  onChange={(e) => setAccountForm(prev => ({ ...prev, type: e.target.value }))} 
+                  className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
+                >
+                  {Object.entries(ACCOUNT_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
               <div className="mb-4">
                 <label className="block text-sm font-medium mb-1">Account Number</label>
                 <input 
                   type="text" 
-                  value={accountNumber} 
-                  onChange={(e) => setAccountNumber(e.target.value)} 
+                  value={accountForm.account_number} 
+                  onChange={(e) => setAccountForm(prev => ({ ...prev, account_number: e.target.value }))} 
                   className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
                   placeholder="Enter your account number"
                 />
               </div>
               <div className="mb-4">
-                <label className="block text-sm font-medium mb-1">Current Balance (₹)</label>
+                <label className="block text-sm font-medium mb-1">Opening Balance (₹)</label>
                 <input 
                   type="number" 
-                  value={newBalance} 
-                  onChange={(e) => setNewBalance(e.target.value)} 
+                  value={accountForm.opening} 
+                  onChange={(e) => setAccountForm(prev => ({ ...prev, opening: e.target.value }))} 
                   className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
                   placeholder="0.00"
                   step="0.01"
                 />
               </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">Opening Balance Date</label>
+                <input 
+                  type="date" 
+                  value={accountForm.openingDate} 
+                  onChange={(e) => setAccountForm(prev => ({ ...prev, openingDate: e.target.value }))} 
+                  className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
+                />
+              </div>
               <div className="flex justify-end gap-2">
                 <button 
                   className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-700"
-                  onClick={() => setShowBalancePopup(false)}
+                  onClick={closeAccountEditor}
                 >
                   Cancel
                 </button>
                 <button 
-                  className="px-4 py-2 rounded-lg bg-indigo-600 text-white"
-                  onClick={handleSaveBalance}
+                  className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50"
+                  onClick={handleSaveAccount}
+                  disabled={!accountForm.name.trim()}
                 >
                   Save
                 </button>
@@ -2301,7 +3703,7 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
           <div className="space-y-3">
             <p className="text-sm text-gray-600 dark:text-gray-400">
               Are you sure you want to delete the transaction "{transactionToDelete.description}"? 
-              This action cannot be undone.
+              {isTransfer(transactionToDelete) && ' Both sides of the transfer will be deleted.'} This action cannot be undone.
             </p>
             <div className="flex justify-end gap-2">
               <button 
@@ -2324,14 +3726,14 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
       <Card className="bg-gradient-to-br from-indigo-600 to-purple-600 text-white relative">
         <div className="flex justify-between items-start">
           <div>
-            <p className="opacity-80">Total Balance</p>
+            <p className="opacity-80">{activeAccount ? `${activeAccount.name} · ${ACCOUNT_TYPES[activeAccount.type] || activeAccount.type}` : 'Total Balance'}</p>
             <p className="text-4xl font-extrabold tracking-tight">
               {showBalance ? formatINR(total) : '••••••'}
             </p>
             <p className="text-xs mt-1 opacity-80 flex items-center">
               Acct: 
               <span className="ml-1">
-                {showAccountNumber ? (accountNumber || user?.email?.split('@')[0] || 'N/A') : '••••••'}
+                {!activeAccount ? 'All accounts' : showAccountNumber ? (activeAccount.account_number || 'N/A') : '••••••'}
               </span>
               <button 
                 onClick={() => setShowAccountNumber(!showAccountNumber)}
@@ -2369,8 +3771,9 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
               )}
             </button>
             <button 
-              onClick={() => setShowBalancePopup(true)}
+              onClick={() => openAccountEditor(activeAccount)}
               className="p-2 rounded-full bg-white/20 hover:bg-white/30 transition-colors"
+              title={activeAccount ? 'Edit account' : 'Add account'}
             >
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" />
@@ -2380,10 +3783,47 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
         </div>
       </Card>
 
+      {/* Per-account and consolidated totals */}
+      {accounts.length > 0 && (
+        <Card>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold">Accounts</h3>
+            <button 
+              onClick={() => openAccountEditor(null)}
+              className="text-sm text-indigo-600 dark:text-indigo-400 font-medium"
+            >
+              + Add account
+            </button>
+          </div>
+          <ul className="divide-y divide-gray-200 dark:divide-gray-800">
+            {accounts.map((account) => (
+              <li 
+                key={account.id} 
+                onClick={() => onSelectAccount(account.id)}
+                className={`py-2 flex items-center justify-between cursor-pointer ${activeAccount?.id === account.id ? 'text-indigo-600 dark:text-indigo-400' : ''}`}
+              >
+                <div>
+                  <p className="font-medium">{account.name}<SyncBadge status={syncStatus[account.id]} /></p>
+                  <p className="text-xs opacity-70">{ACCOUNT_TYPES[account.type] || account.type}</p>
+                </div>
+                <span className="font-semibold">{showBalance ? formatINR(accountBalances[account.id]) : '••••'}</span>
+              </li>
+            ))}
+            <li 
+              onClick={() => onSelectAccount(null)}
+              className={`pt-2 flex items-center justify-between cursor-pointer font-semibold ${!activeAccount ? 'text-indigo-600 dark:text-indigo-400' : ''}`}
+            >
+              <span>All accounts</span>
+              <span>{showBalance ? formatINR(consolidatedTotal) : '••••'}</span>
+            </li>
+          </ul>
+        </Card>
+      )}
+
       {/* Banking Features */}
       <Card>
         <h3 className="font-semibold mb-3">Banking Features</h3>
-        <div className="grid grid-cols-3 gap-2">
+        <div className="grid grid-cols-2 gap-2">
           <button 
             onClick={onRecurringPayments}
             className="p-2 rounded-lg bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200 text-sm font-medium flex flex-col items-center justify-center"
@@ -2405,38 +3845,89 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
             <span className="text-xl mb-1">📊</span>
             <span>Statements</span>
           </button>
+          <button 
+            onClick={onReconcile}
+            className="p-2 rounded-lg bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200 text-sm font-medium flex flex-col items-center justify-center"
+          >
+            <span className="text-xl mb-1">⚖️</span>
+            <span>Reconcile</span>
+          </button>
         </div>
       </Card>
 
       <Card>
         <div className="flex items-center justify-between mb-3">
           <h3 className="font-semibold">Recent Transactions</h3>
-          <AddTxn onAdd={onAdd} balance={balance} />
+          <AddTxn 
+            onAdd={onAdd} 
+            onTransfer={onTransfer} 
+            accounts={accounts} 
+            accountBalances={accountBalances} 
+            defaultAccountId={activeAccount?.id || accounts[0]?.id} 
+            balance={total} 
+            autoOpen={launchAction === 'add-transaction'} 
+            onAutoOpened={onLaunchActionHandled} 
+          />
         </div>
+        {scheduledTransactions.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-800 mb-2">
+            {[...scheduledTransactions].sort((a, b) => a.date.localeCompare(b.date)).map((s) => (
+              <li key={s.id} className="py-2 flex items-center justify-between opacity-80">
+                <div>
+                  <p className="font-medium">
+                    {s.description}
+                    <span className="ml-2 text-[10px] uppercase tracking-wide px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-300">Scheduled</span>
+                    <SyncBadge status={syncStatus[s.id]} />
+                  </p>
+                  <p className="text-xs opacity-70">Posts on {new Date(s.date).toLocaleDateString()}{s.time_of_day ? ` ${formatTimeOfDay(s.time_of_day)}` : ''} • {s.category}</p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className="font-semibold text-gray-500 dark:text-gray-400">
+                    {s.amount < 0 ? "-" : "+"}{formatINR(Math.abs(s.amount))}
+                  </span>
+                  <button 
+                    onClick={() => onCancelScheduled(s.id)}
+                    className="p-1 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900 rounded text-xs"
+                    title="Cancel scheduled transaction"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
         {recent.length === 0 ? (
-          <p className="text-sm opacity-70">No transactions yet.</p>
+          <p className="text-sm opacity-70">{scheduledTransactions.length ? "No posted transactions yet." : "No transactions yet."}</p>
         ) : (
           <ul className="divide-y divide-gray-200 dark:divide-gray-800">
             {recent.map((t) => (
               <li key={t.id} className="py-2 flex items-center justify-between">
                 <div>
-                  <p className="font-medium">{t.description}</p>
-                  <p className="text-xs opacity-70">{new Date(t.date).toLocaleDateString()} • {t.category}</p>
+                  <p className="font-medium">{t.description}<SyncBadge status={syncStatus[t.transfer_id || t.id]} /></p>
+                  <p className="text-xs opacity-70">{new Date(t.date).toLocaleDateString()}{t.time_of_day ? ` ${formatTimeOfDay(t.time_of_day)}` : ''} • {t.category}</p>
                 </div>
                 <div className="flex items-center space-x-2">
-                  <span className={`font-semibold ${t.amount < 0 ? "text-red-600" : "text-green-600"}`}>
-                    {t.amount < 0 ? "-" : "+"}{formatINR(Math.abs(t.amount))}
-                  </span>
+                  <div className="text-right">
+                    <span className={`font-semibold ${t.amount < 0 ? "text-red-600" : "text-green-600"}`}>
+                      {t.amount < 0 ? "-" : "+"}{formatINR(Math.abs(t.amount))}
+                    </span>
+                    <p className="text-xs opacity-60">Bal {showBalance ? formatINR(t.running_balance) : '••••'}</p>
+                  </div>
                   <div className="flex space-x-1">
-                    <button 
-                      onClick={() => startEditingTransaction(t)}
-                      className="p-1 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-indigo-900 rounded"
-                      title="Edit transaction"
-                    >
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                        <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
-                      </svg>
-                    </button>
+                    {/* Opening balances are edited with the account and adjustments
+                        are reversed with a new adjustment, so only these are editable */}
+                    {(isCashflow(t) || isTransfer(t)) && (
+                      <button 
+                        onClick={() => startEditingTransaction(t)}
+                        className="p-1 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-indigo-900 rounded"
+                        title="Edit transaction"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                          <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                        </svg>
+                      </button>
+                    )}
                     <button 
                       onClick={() => confirmDeleteTransaction(t.id)}
                       className="p-1 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900 rounded"
@@ -2459,8 +3950,12 @@ function Dashboard({ user, transactions, onAdd, onRecurringPayments, onBillRemin
   );
 }
 
-function Settings({ user, onBack, onForgot, onExport, onImport, onDelete }) {
+function Settings({ user, onBack, onForgot, onExport, onImport, onDelete,
+                   outboxEntries = [], onSyncNow, onRetryFailed, onDiscardFailed,
+                   notificationSettings, onNotificationSettingsChange, onTestNotification }) {
   const fileRef = useRef(null);
+  const pendingCount = outboxEntries.filter((e) => e.status === "pending").length;
+  const failedCount = outboxEntries.filter((e) => e.status === "failed").length;
   return (
     <div className="space-y-4">
       <Card>
@@ -2476,11 +3971,108 @@ function Settings({ user, onBack, onForgot, onExport, onImport, onDelete }) {
       <Card>
         <h3 className="font-semibold mb-2">Data Management</h3>
         <div className="flex gap-2">
-          <button onClick={onExport} className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800">Export Data (JSON)</button>
-          <button onClick={() => fileRef.current?.click()} className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800">Import Transactions (JSON)</button>
-          <input ref={fileRef} type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files?.[0] && onImport(e.target.files[0])} />
+          <button onClick={onExport} className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800">Back Up Everything (JSON)</button>
+          <button onClick={() => fileRef.current?.click()} className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800">Import / Restore</button>
+          <input 
+            ref={fileRef} 
+            type="file" 
+            accept=".json,.csv,.ofx,.qfx,.qif,application/json,text/csv" 
+            className="hidden" 
+            onChange={(e) => {
+              if (e.target.files?.[0]) onImport(e.target.files[0]);
+              e.target.value = "";
+            }} 
+          />
+        </div>
+        <p className="text-xs opacity-70 mt-2">The backup holds your accounts, transactions, recurring payments and their history, bills and their payments, scheduled transactions, notifications and settings. Import a bank statement (CSV, OFX/QFX or QIF) to add its transactions, or a backup to restore it.</p>
+      </Card>
+
+      <Card>
+        <h3 className="font-semibold mb-2">Bill Reminders</h3>
+        {notificationsSupported() ? (
+          <>
+            <label className="flex items-center gap-2 text-sm">
+              <input 
+                type="checkbox" 
+                checked={!!notificationSettings?.enabled} 
+                disabled={!notificationSettings} 
+                onChange={(e) => onNotificationSettingsChange({ enabled: e.target.checked })} 
+              />
+              Notify me about bills before they are due, on the due day and when overdue
+            </label>
+            {notificationSettings?.enabled && (
+              <>
+                <label className="flex items-center gap-2 text-sm mt-2">
+                  Remind me 
+                  <input 
+                    type="number" 
+                    min="0" 
+                    step="1" 
+                    value={notificationSettings.leadDays} 
+                    onChange={(e) => onNotificationSettingsChange({ leadDays: Math.max(Number(e.target.value) || 0, 0) })} 
+                    className="w-16 rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-2 py-1"
+                  />
+                  days before (each bill can set its own)
+                </label>
+                <button onClick={onTestNotification} className="mt-3 px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800">Send Test Reminder</button>
+              </>
+            )}
+          </>
+        ) : (
+          <p className="text-sm opacity-70">This browser does not support notifications.</p>
+        )}
+      </Card>
+
+      <Card>
+        <h3 className="font-semibold mb-2">Notification Center</h3>
+        <p className="text-xs opacity-70 mb-2">The bell lists bills coming due, recurring payments posted for you, failed syncs, and these (0 turns one off):</p>
+        <label className="flex items-center gap-2 text-sm">
+          Low balance below 
+          <input 
+            type="number" 
+            min="0" 
+            step="100" 
+            value={notificationSettings?.lowBalance ?? DEFAULT_LOW_BALANCE} 
+            disabled={!notificationSettings} 
+            onChange={(e) => onNotificationSettingsChange({ lowBalance: Math.max(Number(e.target.value) || 0, 0) })} 
+            className="w-24 rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-2 py-1"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm mt-2">
+          Transactions of at least 
+          <input 
+            type="number" 
+            min="0" 
+            step="1000" 
+            value={notificationSettings?.largeTransaction ?? DEFAULT_LARGE_TRANSACTION} 
+            disabled={!notificationSettings} 
+            onChange={(e) => onNotificationSettingsChange({ largeTransaction: Math.max(Number(e.target.value) || 0, 0) })} 
+            className="w-24 rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-2 py-1"
+          />
+        </label>
+      </Card>
+
+      <Card>
+        <h3 className="font-semibold mb-2">Offline Sync</h3>
+        <p className="text-sm opacity-80">
+          {pendingCount === 0 && failedCount === 0
+            ? "All changes are synced."
+            : `${pendingCount} change(s) waiting to sync${failedCount ? `, ${failedCount} failed` : ""}.`}
+        </p>
+        {failedCount > 0 && (
+          <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+            Last error: {outboxEntries.find((e) => e.status === "failed")?.lastError}
+          </p>
+        )}
+        <div className="flex gap-2 mt-3">
+          <button onClick={onSyncNow} disabled={pendingCount === 0} className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800 disabled:opacity-50">Sync Now</button>
+          {failedCount > 0 && (
+            <>
+              <button onClick={onRetryFailed} className="px-3 py-2 rounded-lg bg-indigo-600 text-white">Retry Failed</button>
+              <button onClick={onDiscardFailed} className="px-3 py-2 rounded-lg bg-red-600 text-white">Discard Failed</button>
+            </>
+          )}
         </div>
-        <p className="text-xs opacity-70 mt-2">Import expects a JSON with a `transactions` array.</p>
       </Card>
     </div>
   );
@@ -2513,12 +4105,49 @@ function Input({ label, className = "", ...rest }) {
   );
 }
 
-function AddTxn({ onAdd, balance }) {
+// From/to account pickers for a transfer
+function TransferAccountFields({ accounts, fromAccountId, toAccountId, onChange }) {
+  const selectClass = "w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <label className="block">
+        <span className="block text-xs mb-1 opacity-80">From</span>
+        <select value={fromAccountId || ''} onChange={(e) => onChange({ fromAccountId: e.target.value })} className={selectClass}>
+          {accounts.map((a) => (
+            <option key={a.id} value={a.id}>{a.name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        <span className="block text-xs mb-1 opacity-80">To</span>
+        <select value={toAccountId || ''} onChange={(e) => onChange({ toAccountId: e.target.value })} className={selectClass}>
+          {accounts.map((a) => (
+            <option key={a.id} value={a.id}>{a.name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+function AddTxn({ onAdd, onTransfer, accounts = [], accountBalances = {}, defaultAccountId, balance, autoOpen = false, onAutoOpened }) {
   const [open, setOpen] = useState(false);
   const [type, setType] = useState("expense");
   const [amount, setAmount] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("Food");
+  const [when, setWhen] = useState({ date: todayISO(), time: "" });
+  const [schedule, setSchedule] = useState(true); // For future dates: post on the date instead of now
+  const isFuture = when.date > todayISO();
+  const [transferAccounts, setTransferAccounts] = useState({ fromAccountId: null, toAccountId: null });
+  const canTransfer = accounts.length >= 2;
+
+  // Start a transfer from the selected account to the next one
+  useEffect(() => {
+    if (!open || !canTransfer) return;
+    const fromAccountId = defaultAccountId || accounts[0].id;
+    setTransferAccounts({ fromAccountId, toAccountId: accounts.find(a => a.id !== fromAccountId)?.id });
+  }, [open]);
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
 
@@ -2532,9 +4161,36 @@ function AddTxn({ onAdd, balance }) {
     }, 3000);
   };
 
+  // Open straight away when launched from the "Add transaction" app shortcut
+  useEffect(() => {
+    if (autoOpen) {
+      setOpen(true);
+      onAutoOpened?.();
+    }
+  }, [autoOpen]);
+
   const handleAdd = () => {
-    // Validate amount for expense transactions
-    if (type === "expense") {
+    if (type === "transfer") {
+      const { fromAccountId, toAccountId } = transferAccounts;
+      if (!fromAccountId || fromAccountId === toAccountId) {
+        showToastMessage("Choose two different accounts for the transfer!");
+        return;
+      }
+      if (Number(amount) > (accountBalances[fromAccountId] || 0)) {
+        showToastMessage("Insufficient balance for this transfer!");
+        return;
+      }
+      const toAccount = accounts.find(a => a.id === toAccountId);
+      onTransfer({ fromAccountId, toAccountId, amount, description: description || `Transfer to ${toAccount?.name}`, date: when.date });
+      setOpen(false);
+      setAmount("");
+      setDescription("");
+      setWhen({ date: todayISO(), time: "" });
+      return;
+    }
+    
+    // Validate amount for expense transactions (scheduled ones are checked when they post)
+    if (type === "expense" && !(isFuture && schedule)) {
       const amountValue = Number(amount);
       if (amountValue > balance) {
         showToastMessage("Insufficient balance for this transaction!");
@@ -2542,12 +4198,13 @@ function AddTxn({ onAdd, balance }) {
       }
     }
     
-    onAdd({ type, amount, description, category });
+    onAdd({ type, amount, description, category, date: when.date, time: when.time, schedule: isFuture && schedule });
     setOpen(false);
     // Reset form
     setAmount("");
     setDescription("");
     setCategory("Food");
+    setWhen({ date: todayISO(), time: "" });
   };
 
   return (
@@ -2562,12 +4219,34 @@ function AddTxn({ onAdd, balance }) {
       <button onClick={() => setOpen(true)} className="px-3 py-2 rounded-lg bg-indigo-600 text-white">+ Add</button>
       <Modal open={open} onClose={() => setOpen(false)} title="Add Transaction">
         <div className="grid gap-3">
-          <div className="grid grid-cols-2 gap-2">
+          <div className={`grid ${canTransfer ? "grid-cols-3" : "grid-cols-2"} gap-2`}>
             <button className={`px-3 py-2 rounded-lg ${type === "expense" ? "bg-red-500 text-white" : "bg-gray-200 dark:bg-gray-800"}`} onClick={() => setType("expense")}>Expense</button>
             <button className={`px-3 py-2 rounded-lg ${type === "income" ? "bg-green-600 text-white" : "bg-gray-200 dark:bg-gray-800"}`} onClick={() => setType("income")}>Income</button>
+            {canTransfer && (
+              <button className={`px-3 py-2 rounded-lg ${type === "transfer" ? "bg-indigo-600 text-white" : "bg-gray-200 dark:bg-gray-800"}`} onClick={() => setType("transfer")}>Transfer</button>
+            )}
           </div>
+          {type === "transfer" && (
+            <TransferAccountFields 
+              accounts={accounts} 
+              {...transferAccounts} 
+              onChange={(changes) => setTransferAccounts(prev => ({ ...prev, ...changes }))} 
+            />
+          )}
           <Input label="Amount (₹)" type="number" value={amount} onChange={(e) => setAmount(e.target.value)} />
           <Input label="Description" value={description} onChange={(e) => setDescription(e.target.value)} />
+          <TransactionDateFields 
+            {...when} 
+            showTime={type !== "transfer"} 
+            onChange={(changes) => setWhen(prev => ({ ...prev, ...changes }))} 
+          />
+          {isFuture && type !== "transfer" && (
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={schedule} onChange={(e) => setSchedule(e.target.checked)} />
+              Schedule it: leave it out of the balance and post it on this date
+            </label>
+          )}
+          {type !== "transfer" && (
           <label className="block">
             <span className="block text-xs mb-1 opacity-80">Category</span>
             <select value={category} onChange={(e) => setCategory(e.target.value)} className="w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500">
@@ -2576,9 +4255,10 @@ function AddTxn({ onAdd, balance }) {
               ))}
             </select>
           </label>
+          )}
           <div className="flex justify-end gap-2">
             <button className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" onClick={() => setOpen(false)}>Cancel</button>
-            <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={handleAdd}>Add</button>
+            <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={handleAdd}>{isFuture && schedule && type !== "transfer" ? "Schedule" : "Add"}</button>
           </div>
         </div>
       </Modal>
@@ -2586,10 +4266,488 @@ function AddTxn({ onAdd, balance }) {
   );
 }
 
+// Date (defaults to today, any past or future day allowed) and optional time
+// of a transaction. Transfers are dated but have no time.
+function TransactionDateFields({ date, time, showTime = true, onChange }) {
+  return (
+    <div className={`grid ${showTime ? "grid-cols-2" : "grid-cols-1"} gap-2`}>
+      <Input label="Date" type="date" value={date} onChange={(e) => onChange({ date: e.target.value || todayISO() })} />
+      {showTime && (
+        <Input label="Time (optional)" type="time" value={time} onChange={(e) => onChange({ time: e.target.value })} />
+      )}
+    </div>
+  );
+}
+
+// Steps through mapping the columns of a CSV statement, previewing the parsed
+// rows and importing the valid ones into an account. OFX/QFX and QIF files
+// need no mapping and open on the preview.
+function ImportWizard({ file, accounts = [], transactions = [], defaultAccountId, onImport, onClose }) {
+  const rows = useMemo(() => (file.format === "csv" ? parseCSV(file.text) : []), [file]);
+  const [mapping, setMapping] = useState(() => guessMapping(rows[0]));
+  const [step, setStep] = useState(file.format === "csv" ? "map" : "preview");
+  const [accountId, setAccountId] = useState(defaultAccountId);
+  const [importing, setImporting] = useState(false);
+  const [dayWindow, setDayWindow] = useState(DEFAULT_DAY_WINDOW);
+  // What to do with each likely duplicate, by line: 'skip' (default), 'import' or 'merge'
+  const [decisions, setDecisions] = useState({});
+  const preview = useMemo(() => {
+    let parsed;
+    if (file.format === "ofx") parsed = parseOFX(file.text);
+    else if (file.format === "qif") parsed = parseQIF(file.text, { dateFormat: mapping.dateFormat });
+    else parsed = mapRows(rows, mapping);
+    // Compare with the income and expenses already in the target account
+    const existing = transactions.filter((t) => t.account_id === accountId && isCashflow(t));
+    return flagDuplicates(parsed, existing, { dayWindow });
+  }, [file, rows, mapping, transactions, accountId, dayWindow]);
+  const decisionFor = (r) => (r.duplicate ? decisions[r.line] || "skip" : "import");
+  const valid = preview.filter((r) => r.transaction);
+  const toImport = valid.filter((r) => decisionFor(r) === "import");
+  const toMerge = valid.filter((r) => decisionFor(r) === "merge");
+  const invalidCount = preview.length - valid.length;
+  const duplicateCount = valid.filter((r) => r.duplicate).length;
+
+  const columnCount = Math.max(0, ...rows.map((r) => r.length));
+  const columns = Array.from({ length: columnCount }, (_, i) => ({
+    value: i,
+    label: mapping.hasHeader && rows[0]?.[i] ? rows[0][i] : `Column ${i + 1}`,
+  }));
+  const update = (changes) => setMapping((prev) => ({ ...prev, ...changes }));
+  const selectClass = "w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  const columnSelect = (label, field, optional = false) => (
+    <label className="block">
+      <span className="block text-xs mb-1 opacity-80">{label}</span>
+      <select 
+        value={mapping[field]} 
+        onChange={(e) => update({ [field]: e.target.value === "" ? "" : Number(e.target.value) })} 
+        className={selectClass}
+      >
+        <option value="">{optional ? "None" : "Choose a column"}</option>
+        {columns.map((c) => (
+          <option key={c.value} value={c.value}>{c.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const handleImport = async () => {
+    setImporting(true);
+    await onImport(
+      toImport.map((r) => r.transaction),
+      accountId,
+      toMerge.map((r) => ({ existing: r.duplicate.transaction, imported: r.transaction }))
+    );
+    setImporting(false);
+  };
+
+  return (
+    <Modal open={true} onClose={onClose} title={`Import ${file.name}`}>
+      {(file.format === "csv" ? rows : preview).length === 0 ? (
+        <p className="text-sm opacity-80">This file has no transactions to import.</p>
+      ) : step === "map" ? (
+        <div className="grid gap-3 max-h-[70vh] overflow-y-auto">
+          <p className="text-sm opacity-80">Match the columns of your statement to the transaction fields.</p>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => update({ hasHeader: e.target.checked })} />
+            First row is a header
+          </label>
+          {columnSelect("Date", "date")}
+          {columnSelect("Description", "description")}
+          <div className="grid grid-cols-2 gap-2">
+            <button 
+              className={`px-3 py-2 rounded-lg text-sm ${mapping.amountMode === "signed" ? "bg-indigo-600 text-white" : "bg-gray-200 dark:bg-gray-800"}`} 
+              onClick={() => update({ amountMode: "signed" })}
+            >
+              Signed amount
+            </button>
+            <button 
+              className={`px-3 py-2 rounded-lg text-sm ${mapping.amountMode === "split" ? "bg-indigo-600 text-white" : "bg-gray-200 dark:bg-gray-800"}`} 
+              onClick={() => update({ amountMode: "split" })}
+            >
+              Debit / Credit
+            </button>
+          </div>
+          {mapping.amountMode === "signed" ? (
+            columnSelect("Amount (negative for spending)", "amount")
+          ) : (
+            <div className="grid grid-cols-2 gap-2">
+              {columnSelect("Debit", "debit")}
+              {columnSelect("Credit", "credit")}
+            </div>
+          )}
+          {columnSelect("Category", "category", true)}
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <span className="block text-xs mb-1 opacity-80">Date format</span>
+              <select value={mapping.dateFormat} onChange={(e) => update({ dateFormat: e.target.value })} className={selectClass}>
+                {DATE_FORMATS.map((f) => (
+                  <option key={f} value={f}>{f}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-xs mb-1 opacity-80">Number format</span>
+              <select value={mapping.decimalFormat} onChange={(e) => update({ decimalFormat: e.target.value })} className={selectClass}>
+                {Object.entries(DECIMAL_FORMATS).map(([value, example]) => (
+                  <option key={value} value={value}>{example}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" onClick={onClose}>Cancel</button>
+            <button className="px-3 py-2 rounded-lg bg-indigo-600 text-white" onClick={() => setStep("preview")}>Preview</button>
+          </div>
+        </div>
+      ) : (
+        <div className="grid gap-3">
+          <p className="text-sm opacity-80">
+            {valid.length} transaction(s) ready to import
+            {invalidCount > 0 && <span className="text-red-600 dark:text-red-400">, {invalidCount} row(s) with errors will be skipped</span>}
+            {duplicateCount > 0 && <span className="text-amber-600 dark:text-amber-400">, {duplicateCount} look(s) like transactions you already have</span>}.
+          </p>
+          <label className="flex items-center gap-2 text-xs">
+            <span className="opacity-80">Treat as duplicate when dates are within</span>
+            <input 
+              type="number" 
+              min="0" 
+              max="30" 
+              value={dayWindow} 
+              onChange={(e) => setDayWindow(Math.max(0, Number(e.target.value) || 0))} 
+              className="w-14 rounded border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-2 py-1"
+            />
+            <span className="opacity-80">day(s)</span>
+          </label>
+          {file.format === "qif" && (
+            <label className="block">
+              <span className="block text-xs mb-1 opacity-80">Date format</span>
+              <select value={mapping.dateFormat} onChange={(e) => setMapping((prev) => ({ ...prev, dateFormat: e.target.value }))} className={selectClass}>
+                {DATE_FORMATS.map((f) => (
+                  <option key={f} value={f}>{f}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {accounts.length > 1 && (
+            <label className="block">
+              <span className="block text-xs mb-1 opacity-80">Import into</span>
+              <select value={accountId || ""} onChange={(e) => setAccountId(e.target.value)} className={selectClass}>
+                {accounts.map((a) => (
+                  <option key={a.id} value={a.id}>{a.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div className="max-h-72 overflow-y-auto border rounded-lg dark:border-gray-800">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left border-b dark:border-gray-800">
+                  <th className="p-2">Line</th>
+                  <th className="p-2">Date</th>
+                  <th className="p-2">Description</th>
+                  <th className="p-2 text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((r) => r.transaction ? (
+                  <tr key={r.line} className={`border-b dark:border-gray-800 ${r.duplicate ? "bg-amber-50 dark:bg-amber-900/20" : ""}`}>
+                    <td className="p-2 opacity-60">{r.line}</td>
+                    <td className="p-2 whitespace-nowrap">{formatDate(r.transaction.date)}</td>
+                    <td className="p-2">
+                      {r.transaction.description}
+                      {r.duplicate && (
+                        <div className="mt-1 text-amber-700 dark:text-amber-300">
+                          {r.duplicate.reason === "external_id" ? "Already imported" : "Possible duplicate"} of "{r.duplicate.transaction.description}" on {formatDate(r.duplicate.transaction.date)}
+                          <select 
+                            value={decisionFor(r)} 
+                            onChange={(e) => setDecisions((prev) => ({ ...prev, [r.line]: e.target.value }))} 
+                            className="ml-1 rounded border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-1"
+                          >
+                            <option value="skip">Skip</option>
+                            <option value="merge">Merge</option>
+                            <option value="import">Import anyway</option>
+                          </select>
+                        </div>
+                      )}
+                    </td>
+                    <td className={`p-2 text-right ${r.transaction.amount < 0 ? "text-red-600" : "text-green-600"}`}>{formatINR(r.transaction.amount)}</td>
+                  </tr>
+                ) : (
+                  <tr key={r.line} className="border-b dark:border-gray-800 bg-red-50 dark:bg-red-900/20">
+                    <td className="p-2 opacity-60">{r.line}</td>
+                    <td className="p-2 text-red-600 dark:text-red-400" colSpan={3}>{r.errors.join("; ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button 
+              className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" 
+              onClick={() => (file.format === "csv" ? setStep("map") : onClose())}
+            >
+              {file.format === "csv" ? "Back" : "Cancel"}
+            </button>
+            <button 
+              className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" 
+              onClick={handleImport} 
+              disabled={toImport.length + toMerge.length === 0 || importing}
+            >
+              {importing ? "Importing..." : `Import ${toImport.length}${toMerge.length ? `, merge ${toMerge.length}` : ""}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+// Records a payment against a bill: any amount (part of it, all of it, or
+// more for a variable bill) on any date. payments: the parts paid so far.
+function PayBillDialog({ bill, payments, onPay, onClose }) {
+  const remaining = billRemaining(bill);
+  const [amount, setAmount] = useState(String(remaining));
+  const [date, setDate] = useState(todayISO());
+  const [settle, setSettle] = useState(false);
+  const value = roundMoney(amount);
+  const short = value > 0 && value < remaining;
+  // Paying more than is left would count the difference as paid on the bill
+  const over = value > remaining;
+
+  return (
+    <Modal open={true} onClose={onClose} title={`Pay ${bill.description}`}>
+      <div className="grid gap-3">
+        <div className="text-sm">
+          {formatINR(bill.amount)} due {formatDate(bill.due_date)}
+          {Number(bill.paid_amount) > 0 && <> • {formatINR(bill.paid_amount)} paid, {formatINR(remaining)} left</>}
+        </div>
+        {payments.length > 0 && (
+          <ul className="text-xs opacity-70">
+            {payments.map(p => <li key={p.id}>{formatDate(p.date)}: {formatINR(p.amount)}</li>)}
+          </ul>
+        )}
+        <label className="block">
+          <span className="block text-xs mb-1 opacity-80">Amount paid</span>
+          <input 
+            type="number" 
+            min="0.01" 
+            step="0.01" 
+            value={amount} 
+            onChange={(e) => setAmount(e.target.value)} 
+            max={remaining} 
+            className="w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2"
+          />
+          {over && <span className="block text-xs mt-1 text-red-600 dark:text-red-400">Only {formatINR(remaining)} is left to pay.</span>}
+        </label>
+        <label className="block">
+          <span className="block text-xs mb-1 opacity-80">Paid on</span>
+          <input 
+            type="date" 
+            value={date} 
+            onChange={(e) => setDate(e.target.value)} 
+            className="w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2"
+          />
+        </label>
+        {short && (
+          <label className="flex items-start gap-2 text-sm">
+            <input type="checkbox" className="mt-1" checked={settle} onChange={(e) => setSettle(e.target.checked)} />
+            <span>This settles the bill (the final amount was lower). Otherwise {formatINR(roundMoney(remaining - value))} stays due.</span>
+          </label>
+        )}
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" onClick={onClose}>Cancel</button>
+          <button 
+            className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" 
+            disabled={!(value > 0) || over || !date} 
+            onClick={() => onPay({ amount: value, date, settle: short && settle })}
+          >
+            {short && !settle ? "Pay part" : "Pay"}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Export options: plain JSON, or encrypted with a passphrase
+function BackupDialog({ onExport, onClose }) {
+  const [encrypt, setEncrypt] = useState(true);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [exporting, setExporting] = useState(false);
+  let problem = null;
+  if (encrypt && passphrase.length < MIN_PASSPHRASE_LENGTH) problem = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+  else if (encrypt && passphrase !== confirmation) problem = "The passphrases do not match.";
+
+  const handleExport = async () => {
+    setExporting(true);
+    await onExport(encrypt ? passphrase : null);
+    setExporting(false);
+  };
+
+  return (
+    <Modal open={true} onClose={onClose} title="Back up your data">
+      <div className="grid gap-3">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} />
+          Encrypt with a passphrase
+        </label>
+        {encrypt ? (
+          <>
+            <input 
+              type="password" 
+              placeholder="Passphrase" 
+              value={passphrase} 
+              onChange={(e) => setPassphrase(e.target.value)} 
+              autoComplete="new-password" 
+              className="w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2"
+            />
+            <input 
+              type="password" 
+              placeholder="Repeat passphrase" 
+              value={confirmation} 
+              onChange={(e) => setConfirmation(e.target.value)} 
+              autoComplete="new-password" 
+              className="w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2"
+            />
+            <p className="text-xs opacity-70">The passphrase cannot be recovered. Without it the backup cannot be restored.</p>
+          </>
+        ) : (
+          <p className="text-xs text-amber-600 dark:text-amber-400">Anyone who gets hold of the file can read your financial history.</p>
+        )}
+        {problem && (passphrase || confirmation) && <p className="text-xs text-red-600 dark:text-red-400">{problem}</p>}
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" onClick={onClose}>Cancel</button>
+          <button 
+            className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" 
+            onClick={handleExport} 
+            disabled={!!problem || exporting}
+          >
+            {exporting ? "Preparing..." : "Download backup"}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Asks for the passphrase of an encrypted backup. Errors (wrong passphrase,
+// tampered file) are shown in place so the user can try again.
+function UnlockBackupDialog({ onUnlock, onClose }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setUnlocking(false);
+    }
+  };
+
+  return (
+    <Modal open={true} onClose={onClose} title="Encrypted backup">
+      <form onSubmit={handleUnlock} className="grid gap-3">
+        <p className="text-sm opacity-80">Enter the passphrase this backup was made with.</p>
+        <input 
+          type="password" 
+          placeholder="Passphrase" 
+          value={passphrase} 
+          onChange={(e) => setPassphrase(e.target.value)} 
+          autoComplete="current-password" 
+          autoFocus 
+          className="w-full rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2"
+        />
+        {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" onClick={onClose}>Cancel</button>
+          <button 
+            type="submit" 
+            className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50" 
+            disabled={!passphrase || unlocking}
+          >
+            {unlocking ? "Decrypting..." : "Decrypt"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+// Restore options for a verified backup: merge, replace or skip per table,
+// and whether to bring back the settings
+function RestoreBackupDialog({ backup, onRestore, onClose }) {
+  const tables = BACKUP_TABLES.filter((table) => backup.tables[table]);
+  const [modes, setModes] = useState(() => Object.fromEntries(tables.map((table) => [table, "merge"])));
+  const [restoreSettings, setRestoreSettings] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const replacing = tables.filter((table) => modes[table] === "replace");
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    await onRestore(backup, modes, restoreSettings);
+    setRestoring(false);
+  };
+
+  return (
+    <Modal open={true} onClose={onClose} title="Restore backup">
+      <div className="grid gap-3">
+        <p className="text-sm opacity-80">
+          Backup of {backup.owner_email} from {new Date(backup.created_at).toLocaleString()}.
+        </p>
+        {tables.map((table) => (
+          <label key={table} className="flex items-center justify-between gap-2 text-sm">
+            <span>
+              {BACKUP_TABLE_LABELS[table]} <span className="opacity-60">({backup.tables[table].count})</span>
+            </span>
+            <select 
+              value={modes[table]} 
+              onChange={(e) => setModes((prev) => ({ ...prev, [table]: e.target.value }))} 
+              className="rounded-lg border border-gray-300 dark:border-gray-800 bg-white dark:bg-gray-900 px-2 py-1"
+            >
+              {Object.entries(RESTORE_MODES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {backup.settings && (
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={restoreSettings} onChange={(e) => setRestoreSettings(e.target.checked)} />
+            Restore settings (theme, phone, profile picture)
+          </label>
+        )}
+        {replacing.length > 0 && (
+          <p className="text-xs text-red-600 dark:text-red-400">
+            Replace removes your current {replacing.map((table) => BACKUP_TABLE_LABELS[table].toLowerCase()).join(", ")} that are not in the backup.
+            {modes.accounts === "replace" && " Removing an account also removes its transactions."}
+          </p>
+        )}
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-800" onClick={onClose}>Cancel</button>
+          <button 
+            className={`px-3 py-2 rounded-lg text-white disabled:opacity-50 ${replacing.length ? "bg-red-600" : "bg-indigo-600"}`} 
+            onClick={handleRestore} 
+            disabled={restoring}
+          >
+            {restoring ? "Restoring..." : "Restore"}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
 function Analytics({ transactions }) {
   const spending = useMemo(() => {
     const byCat = {};
-    for (const t of transactions) {
+    for (const t of transactions.filter(isCashflow)) {
       if (t.amount < 0) {
         byCat[t.category] = (byCat[t.category] || 0) + Math.abs(t.amount);
       }
@@ -2599,14 +4757,15 @@ function Analytics({ transactions }) {
 
   const monthly = useMemo(() => {
     const byMonth = {};
-    for (const t of transactions) {
-      const key = new Date(t.date).toLocaleString("default", { month: "short" });
-      if (!byMonth[key]) byMonth[key] = { name: key, income: 0, expense: 0 };
+    for (const t of transactions.filter(isCashflow)) {
+      // Keyed by YYYY-MM so back-dated entries from another year are not mixed in
+      const key = t.date.slice(0, 7);
+      const name = new Date(`${key}-01T00:00:00`).toLocaleString("default", { month: "short", year: "2-digit" });
+      if (!byMonth[key]) byMonth[key] = { name, income: 0, expense: 0 };
       if (t.amount >= 0) byMonth[key].income += t.amount; else byMonth[key].expense += Math.abs(t.amount);
     }
-    // ensure stable order (latest first)
-    const order = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-    return order.filter((m) => byMonth[m]).map((m) => byMonth[m]);
+    // Chronological, whatever order the entries were recorded in
+    return Object.keys(byMonth).sort().map((key) => byMonth[key]);
   }, [transactions]);
 
   const COLORS = ["#0088FE", "#00C49F", "#FFBB28", "#FF8042", "#8884d8", "#ef4444", "#22c55e"]; // nice palette
@@ -0,0 +1,66 @@
+// Shared by the services' tests: in-memory Supabase tables standing in for the
+// outbox, and the rows several tests start from.
+
+export const OWNER = 'asha@example.com';
+
+// The schema's ON DELETE CASCADE foreign keys: parent table -> [child table, column]
+const CASCADES = {
+  recurring_payments: ['recurring_payment_runs', 'payment_id'],
+  bill_reminders: ['bill_payments', 'bill_id'],
+};
+
+// Tables that take the writes mutateOrQueue() is given and answer the way
+// Supabase does online: an insert whose id already exists is ignored (null
+// comes back), and deleting a parent row deletes its children. Tests mock the
+// outbox with
+//   vi.mock('./outbox', () => ({ mutateOrQueue: vi.fn() }));
+//   mutateOrQueue.mockImplementation(tables.mutate);
+export const createMemoryTables = (initial = {}) => {
+  const db = Object.fromEntries(Object.entries(initial).map(([table, rows]) => [table, [...rows]]));
+  const rows = (table) => db[table] || (db[table] = []);
+
+  // Applies one write and resolves to the stored row, like applyMutation()
+  const apply = ({ table, op, rowId, payload }) => {
+    if (op === 'insert') {
+      if (rows(table).some((r) => r.id === rowId)) return null;
+      rows(table).push(payload);
+      return payload;
+    }
+    if (op === 'update') {
+      db[table] = rows(table).map((r) => (r.id === rowId ? { ...r, ...payload } : r));
+      return db[table].find((r) => r.id === rowId) || null;
+    }
+    db[table] = rows(table).filter((r) => r.id !== rowId);
+    const [child, column] = CASCADES[table] || [];
+    if (child) db[child] = rows(child).filter((r) => r[column] !== rowId);
+    return null;
+  };
+
+  const mutate = async (mutation) => ({ data: apply(mutation), queued: false });
+
+  return { db, rows, apply, mutate };
+};
+
+// A monthly rent payment of 15,000 from acc-1; pass its dates in `changes`
+export const rentPayment = (changes = {}) => ({
+  id: 'pay-1',
+  owner_email: OWNER,
+  account_id: 'acc-1',
+  type: 'expense',
+  amount: 15000,
+  description: 'Rent',
+  category: 'Housing',
+  frequency: 'monthly',
+  recurrence_rule: 'FREQ=MONTHLY',
+  paused: false,
+  ...changes,
+});
+
+// An unpaid electricity bill of 1,200 due on `due_date` (pass it in `changes`)
+export const electricityBill = (changes = {}) => ({
+  id: 'bill-1',
+  description: 'Electricity',
+  amount: 1200,
+  is_paid: false,
+  ...changes,
+});
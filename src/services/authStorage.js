@@ -0,0 +1,57 @@
+// Supabase auth session storage backed by IndexedDB instead of localStorage,
+// so the service worker (which has no localStorage) can use the same session
+// to sync queued writes while the app is closed.
+
+const AUTH_DB_NAME = 'bankingAppAuth';
+const AUTH_DB_VERSION = 1;
+const AUTH_STORE = 'session';
+
+let authDb;
+
+const openAuthDB = () => {
+  if (authDb) return Promise.resolve(authDb);
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(AUTH_DB_NAME, AUTH_DB_VERSION);
+    req.onerror = () => reject(req.error || new Error('Auth DB open failed'));
+    req.onsuccess = () => {
+      authDb = req.result;
+      resolve(authDb);
+    };
+    req.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      if (!db.objectStoreNames.contains(AUTH_STORE)) {
+        db.createObjectStore(AUTH_STORE);
+      }
+    };
+  });
+};
+
+const request = async (mode, fn) => {
+  const db = await openAuthDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(AUTH_STORE, mode);
+    const r = fn(tx.objectStore(AUTH_STORE));
+    tx.oncomplete = () => res(r.result);
+    tx.onerror = () => rej(tx.error);
+  });
+};
+
+// Sessions saved before the switch to IndexedDB still live in localStorage
+const legacyLocalStorage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+export const authStorage = {
+  getItem: async (key) => {
+    const value = await request('readonly', (st) => st.get(key));
+    if (value !== undefined) return value;
+
+    const legacyValue = legacyLocalStorage?.getItem(key);
+    if (legacyValue) {
+      await request('readwrite', (st) => st.put(legacyValue, key));
+      legacyLocalStorage.removeItem(key);
+      return legacyValue;
+    }
+    return null;
+  },
+  setItem: (key, value) => request('readwrite', (st) => st.put(value, key)),
+  removeItem: (key) => request('readwrite', (st) => st.delete(key)),
+};
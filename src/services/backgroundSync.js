@@ -0,0 +1,59 @@
+// Background Sync / Periodic Background Sync registration.
+// Works from both the app and the service worker. Browsers without these
+// APIs fall back to the `online` / `visibilitychange` listeners in App.jsx.
+
+export const OUTBOX_SYNC_TAG = 'outbox-sync';
+export const REFRESH_SYNC_TAG = 'refresh-data';
+
+// How often the browser may wake the service worker to prefetch data
+const REFRESH_MIN_INTERVAL = 12 * 60 * 60 * 1000;
+
+export const getRegistration = async () => {
+  if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+    return self.registration;
+  }
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return null;
+  // `ready` never settles in dev, where no service worker is registered
+  return navigator.serviceWorker.getRegistration();
+};
+
+// Ask the browser to run the outbox sync once there is connectivity, even if
+// the app has been closed by then. Resolves to false when unsupported.
+export const requestOutboxSync = async () => {
+  try {
+    const registration = await getRegistration();
+    if (!registration?.sync) return false;
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.error('Error registering background sync:', error);
+    return false;
+  }
+};
+
+// Periodic sync is only granted to installed apps with enough engagement,
+// so this resolves to false more often than not.
+export const registerPeriodicRefresh = async () => {
+  try {
+    const registration = await getRegistration();
+    if (!registration?.periodicSync) return false;
+
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state !== 'granted') return false;
+
+    await registration.periodicSync.register(REFRESH_SYNC_TAG, { minInterval: REFRESH_MIN_INTERVAL });
+    return true;
+  } catch (error) {
+    console.error('Error registering periodic sync:', error);
+    return false;
+  }
+};
+
+export const unregisterPeriodicRefresh = async () => {
+  try {
+    const registration = await getRegistration();
+    await registration?.periodicSync?.unregister(REFRESH_SYNC_TAG);
+  } catch (error) {
+    console.error('Error unregistering periodic sync:', error);
+  }
+};
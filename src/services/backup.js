@@ -0,0 +1,292 @@
+import { isTransfer, getTransferLegs, toTransferPayload } from './transfers';
+
+// Full backups: every Supabase table of the user plus the local settings,
+// in one versioned JSON file.
+//
+// {
+//   format: 'mybank-backup',
+//   schema_version: 1,
+//   created_at, owner_email,
+//   tables: { accounts: { count, checksum, rows }, transactions: {...}, ... },
+//   settings: { checksum, values: { theme, phone, profileImage } }
+// }
+//
+// Checksums are SHA-256 over the JSON of the rows, so a truncated or edited
+// file is refused instead of half-restored.
+
+export const BACKUP_FORMAT = 'mybank-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+// In restore order: transactions need their accounts to exist, runs their
+// recurring payment and bill payments their bill
+export const BACKUP_TABLES = [
+  'accounts',
+  'transactions',
+  'recurring_payments',
+  'recurring_payment_runs',
+  'bill_reminders',
+  'bill_payments',
+  'scheduled_transactions',
+  'notifications',
+];
+
+export const BACKUP_TABLE_LABELS = {
+  accounts: 'Accounts',
+  transactions: 'Transactions',
+  recurring_payments: 'Recurring payments',
+  recurring_payment_runs: 'Recurring payment history',
+  bill_reminders: 'Bill reminders',
+  bill_payments: 'Bill payments',
+  scheduled_transactions: 'Scheduled transactions',
+  notifications: 'Notifications',
+};
+
+// Tables whose rows belong to a row of another table (foreign key with
+// ON DELETE CASCADE): { [table]: [column, parent table] }
+const PARENT_TABLES = {
+  recurring_payment_runs: ['payment_id', 'recurring_payments'],
+  bill_payments: ['bill_id', 'bill_reminders'],
+};
+
+// Tables whose created_at is restored: it orders the run history and the
+// notification feed
+const KEEP_CREATED_AT = ['recurring_payment_runs', 'notifications'];
+
+// localStorage keys saved with the backup
+export const BACKUP_SETTINGS = ['theme', 'phone', 'profileImage'];
+
+// What a restore does with a table: add the rows that are missing, make the
+// table match the backup, or leave it alone
+export const RESTORE_MODES = {
+  merge: 'Merge (add missing)',
+  replace: 'Replace',
+  skip: 'Skip',
+};
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+export const checksum = async (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  return `sha256-${toHex(await crypto.subtle.digest('SHA-256', bytes))}`;
+};
+
+// tables: { [table]: rows }, settings: { [key]: value }
+export const createBackup = async ({ ownerEmail, tables, settings }) => {
+  const backup = {
+    format: BACKUP_FORMAT,
+    schema_version: BACKUP_SCHEMA_VERSION,
+    created_at: new Date().toISOString(),
+    owner_email: ownerEmail,
+    tables: {},
+    settings: { checksum: await checksum(settings), values: settings },
+  };
+  for (const table of BACKUP_TABLES) {
+    const rows = tables[table] || [];
+    backup.tables[table] = { count: rows.length, checksum: await checksum(rows), rows };
+  }
+  return backup;
+};
+
+export const isBackup = (parsed) => parsed?.format === BACKUP_FORMAT;
+
+// Checks the version and every checksum. Throws an Error with a message that
+// can be shown to the user.
+export const verifyBackup = async (backup) => {
+  if (!isBackup(backup)) throw new Error('This file is not a MyBank backup.');
+  const version = Number(backup.schema_version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('This backup has no valid schema version.');
+  }
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (schema ${version}). Update the app and try again.`);
+  }
+
+  for (const table of BACKUP_TABLES) {
+    const section = backup.tables?.[table];
+    if (!section) continue; // Tables added in later versions may be missing
+    if (!Array.isArray(section.rows) || section.rows.length !== section.count) {
+      throw new Error(`The ${BACKUP_TABLE_LABELS[table].toLowerCase()} in this backup are incomplete.`);
+    }
+    if (section.checksum !== (await checksum(section.rows))) {
+      throw new Error(`The ${BACKUP_TABLE_LABELS[table].toLowerCase()} in this backup fail the checksum. The file is damaged or was edited.`);
+    }
+  }
+  if (backup.settings && backup.settings.checksum !== (await checksum(backup.settings.values))) {
+    throw new Error('The settings in this backup fail the checksum. The file is damaged or was edited.');
+  }
+  return backup;
+};
+
+// Columns written back for each table. Anything else in the backup (stored
+// balances, created_at, columns from other versions) is left to the database.
+const RESTORED_COLUMNS = {
+  accounts: ['name', 'type', 'account_number'],
+  transactions: ['account_id', 'type', 'amount', 'description', 'category', 'date', 'time_of_day', 'external_id'],
+};
+
+const pick = (row, columns) =>
+  columns ? Object.fromEntries(columns.filter((c) => c in row).map((c) => [c, row[c]])) : row;
+
+const rowPayload = (table, row, ownerEmail) => {
+  const { id, created_at, owner_email, ...rest } = row;
+  const payload = { ...pick(rest, RESTORED_COLUMNS[table]), owner_email: ownerEmail };
+  if (KEEP_CREATED_AT.includes(table) && created_at) payload.created_at = created_at;
+  return payload;
+};
+
+// Works out the writes that restore `backupTables` over `currentTables`
+// ({ [table]: rows }) with one mode per table. Returns
+// { mutations: [{ table, op, rowId, payload }], summary: { [table]: { inserted, updated, deleted, skipped } } },
+// in the order the mutations must run.
+//
+// - Accounts are inserted with a zero balance: the restored ledger builds it up
+//   again through apply_transaction. Deleting an account deletes its transactions.
+// - Transfers are restored as pairs through the 'transfers' pseudo-table.
+// - Transactions of accounts that will not exist are skipped, as are opening
+//   balances for accounts that already have one.
+// - Recurring payment runs and bill payments of a payment or bill that will
+//   not exist are skipped; those of a deleted one go with it.
+export const planRestore = ({ ownerEmail, backupTables, currentTables, modes }) => {
+  const mutations = [];
+  const summary = {};
+  const count = (table, key) => {
+    summary[table] = summary[table] || { inserted: 0, updated: 0, deleted: 0, skipped: 0 };
+    summary[table][key] += 1;
+  };
+  const push = (table, op, rowId, payload, summaryTable = table) => {
+    mutations.push({ table, op, rowId, payload });
+    count(summaryTable, { insert: 'inserted', update: 'updated', delete: 'deleted' }[op]);
+  };
+
+  const mode = (table) => (backupTables[table] ? modes[table] || 'merge' : 'skip');
+  const currentIds = (table) => new Set((currentTables[table] || []).map((r) => r.id));
+  const backupIds = (table) => new Set((backupTables[table] || []).map((r) => r.id));
+
+  // Accounts
+  const currentAccounts = currentTables.accounts || [];
+  const finalAccountIds = new Set(currentAccounts.map((a) => a.id));
+  const deletedAccountIds = new Set();
+  const deletedTransferIds = new Set();
+  if (mode('accounts') !== 'skip') {
+    const existing = currentIds('accounts');
+    for (const account of backupTables.accounts) {
+      if (!existing.has(account.id)) {
+        push('accounts', 'insert', account.id, { id: account.id, ...rowPayload('accounts', account, ownerEmail), balance: 0 });
+        finalAccountIds.add(account.id);
+      } else if (mode('accounts') === 'replace') {
+        push('accounts', 'update', account.id, pick(account, RESTORED_COLUMNS.accounts));
+      }
+    }
+    if (mode('accounts') === 'replace') {
+      const keep = backupIds('accounts');
+      for (const account of currentAccounts.filter((a) => !keep.has(a.id))) {
+        deletedAccountIds.add(account.id);
+        finalAccountIds.delete(account.id);
+      }
+      // Transfer legs cannot be removed by the account's cascade (see
+      // guard_transfer_legs), so their transfers are deleted first
+      for (const t of (currentTables.transactions || []).filter(isTransfer)) {
+        if (deletedAccountIds.has(t.account_id) && !deletedTransferIds.has(t.transfer_id)) {
+          deletedTransferIds.add(t.transfer_id);
+          push('transfers', 'delete', t.transfer_id, null, 'transactions');
+        }
+      }
+      for (const accountId of deletedAccountIds) push('accounts', 'delete', accountId, null);
+    }
+  }
+  const accountExists = (accountId) => !accountId || finalAccountIds.has(accountId);
+
+  // Transactions. Rows of deleted accounts are gone with them.
+  if (mode('transactions') !== 'skip') {
+    const current = (currentTables.transactions || []).filter(
+      (t) => !deletedAccountIds.has(t.account_id) && !deletedTransferIds.has(t.transfer_id)
+    );
+    const backup = backupTables.transactions;
+    const existing = currentIds('transactions');
+    const keep = backupIds('transactions');
+
+    if (mode('transactions') === 'replace') {
+      // Deletes first, so a replaced opening balance does not clash with the old one
+      const seenTransfers = new Set();
+      for (const t of current.filter((t) => !keep.has(t.id))) {
+        if (isTransfer(t)) {
+          if (seenTransfers.has(t.transfer_id)) continue;
+          seenTransfers.add(t.transfer_id);
+          push('transfers', 'delete', t.transfer_id, null, 'transactions');
+        } else {
+          push('transactions', 'delete', t.id, null);
+        }
+      }
+    }
+
+    const openingAccounts = new Set(
+      current
+        .filter((t) => t.type === 'opening_balance' && (mode('transactions') === 'merge' || keep.has(t.id)))
+        .map((t) => t.account_id)
+    );
+    const seenTransfers = new Set();
+    for (const t of backup) {
+      if (isTransfer(t)) {
+        if (seenTransfers.has(t.transfer_id)) continue;
+        seenTransfers.add(t.transfer_id);
+        const legs = getTransferLegs(backup, t.transfer_id);
+        if (!legs.debit || !legs.credit || !accountExists(legs.debit.account_id) || !accountExists(legs.credit.account_id)) {
+          count('transactions', 'skipped');
+          continue;
+        }
+        const exists = existing.has(legs.debit.id) || existing.has(legs.credit.id);
+        if (!exists) push('transfers', 'insert', t.transfer_id, toTransferPayload(legs), 'transactions');
+        else if (mode('transactions') === 'replace') push('transfers', 'update', t.transfer_id, toTransferPayload(legs), 'transactions');
+        continue;
+      }
+
+      if (!accountExists(t.account_id)) {
+        count('transactions', 'skipped');
+      } else if (!existing.has(t.id)) {
+        if (t.type === 'opening_balance' && openingAccounts.has(t.account_id)) {
+          count('transactions', 'skipped');
+          continue;
+        }
+        push('transactions', 'insert', t.id, { id: t.id, ...rowPayload('transactions', t, ownerEmail) });
+      } else if (mode('transactions') === 'replace') {
+        push('transactions', 'update', t.id, pick(t, RESTORED_COLUMNS.transactions));
+      }
+    }
+  }
+
+  // The other tables, parents before their children. finalIds tracks which
+  // rows each table will have, for the children's foreign keys.
+  const finalIds = {};
+  for (const table of BACKUP_TABLES.slice(2)) {
+    finalIds[table] = currentIds(table);
+    const [parentColumn, parentTable] = PARENT_TABLES[table] || [];
+    const parentExists = (row) => !parentTable || finalIds[parentTable].has(row[parentColumn]);
+    if (mode(table) === 'skip') continue;
+    const existing = currentIds(table);
+    if (mode(table) === 'replace') {
+      const keep = backupIds(table);
+      for (const row of (currentTables[table] || []).filter((r) => !keep.has(r.id))) {
+        finalIds[table].delete(row.id);
+        // Already deleted with its parent
+        if (parentExists(row)) push(table, 'delete', row.id, null);
+      }
+    }
+    for (const row of backupTables[table]) {
+      if (!parentExists(row)) {
+        count(table, 'skipped');
+        continue;
+      }
+      const payload = rowPayload(table, row, ownerEmail);
+      // Linked to an account that is not coming back: keep it, unlinked
+      if (!accountExists(payload.account_id)) payload.account_id = null;
+      if (!existing.has(row.id)) {
+        push(table, 'insert', row.id, { id: row.id, ...payload });
+        finalIds[table].add(row.id);
+      } else if (mode(table) === 'replace') {
+        push(table, 'update', row.id, payload);
+      }
+    }
+  }
+
+  return { mutations, summary };
+};
@@ -0,0 +1,134 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createBackup, planRestore, verifyBackup, BACKUP_TABLES } from './backup';
+import { occurrenceId } from './scheduler';
+import { createMemoryTables, rentPayment, OWNER } from './__fixtures__/memoryTables';
+
+// scheduler.js writes through the outbox; only its ids are used here
+vi.mock('./outbox', () => ({ mutateOrQueue: vi.fn() }));
+
+// Applies planned mutations to in-memory tables, with the schema's cascades
+const applyMutations = (current, mutations) => {
+  const tables = createMemoryTables(Object.fromEntries(BACKUP_TABLES.map((t) => [t, current[t] || []])));
+  mutations.forEach(tables.apply);
+  return tables.db;
+};
+
+const sampleTables = async () => {
+  const account = { id: 'acc-1', owner_email: OWNER, name: 'Savings', type: 'savings', account_number: '1234' };
+  const payment = rentPayment({ start_date: '2026-08-01', next_date: '2026-10-01' });
+  const bill = { id: 'bill-1', owner_email: OWNER, account_id: 'acc-1', description: 'Power', amount: 900, due_date: '2026-09-20', is_paid: true, paid_amount: 900 };
+  return {
+    accounts: [account],
+    transactions: [
+      { id: 'txn-1', owner_email: OWNER, account_id: 'acc-1', type: 'opening_balance', amount: 50000, date: '2026-08-01' },
+      { id: await occurrenceId('pay-1', '2026-09-01'), owner_email: OWNER, account_id: 'acc-1', type: 'expense', amount: -15000, description: 'Rent (Recurring)', category: 'Housing', date: '2026-09-01' },
+    ],
+    recurring_payments: [payment],
+    recurring_payment_runs: [
+      { id: await occurrenceId('pay-1', '2026-08-01'), owner_email: OWNER, payment_id: 'pay-1', due_date: '2026-08-01', status: 'skipped', transaction_id: null, error: null, created_at: '2026-08-01T06:00:00.000Z' },
+      { id: await occurrenceId('pay-1', '2026-09-01'), owner_email: OWNER, payment_id: 'pay-1', due_date: '2026-09-01', status: 'posted', transaction_id: await occurrenceId('pay-1', '2026-09-01'), error: null, created_at: '2026-09-01T06:00:00.000Z' },
+    ],
+    bill_reminders: [bill],
+    bill_payments: [{ id: 'bp-1', owner_email: OWNER, bill_id: 'bill-1', transaction_id: 'txn-9', amount: 900, date: '2026-09-18' }],
+    scheduled_transactions: [{ id: 'sch-1', owner_email: OWNER, account_id: 'acc-1', type: 'income', amount: 2000, description: 'Refund', category: 'Other', date: '2026-11-02' }],
+    notifications: [{ id: 'n-1', owner_email: OWNER, kind: 'bill_due', title: 'Power is due today', body: null, url: '/?page=billReminders&bill=bill-1', read_at: '2026-09-20T08:00:00.000Z', created_at: '2026-09-20T06:00:00.000Z' }],
+  };
+};
+
+// A backup as it comes back from the file
+const roundTrip = async (tables) =>
+  verifyBackup(JSON.parse(JSON.stringify(await createBackup({ ownerEmail: OWNER, tables, settings: {} }))));
+
+const rowsOf = (backup) => Object.fromEntries(BACKUP_TABLES.map((t) => [t, backup.tables[t].rows]));
+
+describe('backup round trip', () => {
+  it('backs up every table', async () => {
+    const backup = await roundTrip(await sampleTables());
+    expect(Object.keys(backup.tables)).toEqual(BACKUP_TABLES);
+    expect(backup.tables.recurring_payment_runs.count).toBe(2);
+    expect(backup.tables.bill_payments.count).toBe(1);
+    expect(backup.tables.notifications.count).toBe(1);
+  });
+
+  it('restores payment history, bill payments and notifications into an empty account', async () => {
+    const tables = await sampleTables();
+    const backup = await roundTrip(tables);
+    const { mutations, summary } = planRestore({ ownerEmail: OWNER, backupTables: rowsOf(backup), currentTables: {}, modes: {} });
+    const db = applyMutations({}, mutations);
+
+    // Parents are written before their children
+    const order = mutations.map((m) => m.table);
+    expect(order.indexOf('recurring_payments')).toBeLessThan(order.indexOf('recurring_payment_runs'));
+    expect(order.indexOf('bill_reminders')).toBeLessThan(order.indexOf('bill_payments'));
+
+    expect(db.recurring_payment_runs).toEqual(tables.recurring_payment_runs);
+    expect(db.bill_payments).toEqual(tables.bill_payments);
+    expect(db.notifications).toEqual(tables.notifications);
+    expect(summary.recurring_payment_runs).toMatchObject({ inserted: 2, skipped: 0 });
+  });
+
+  it('keeps run ids, so a posted occurrence is not posted again after a restore', async () => {
+    const tables = await sampleTables();
+    const backup = await roundTrip(tables);
+    const { mutations } = planRestore({ ownerEmail: OWNER, backupTables: rowsOf(backup), currentTables: {}, modes: {} });
+    const db = applyMutations({}, mutations);
+
+    // The catch-up records a run and posts a transaction under these ids; both
+    // already exist, so the inserts are ignored
+    const id = await occurrenceId('pay-1', '2026-09-01');
+    expect(db.recurring_payment_runs.map((r) => r.id)).toContain(id);
+    expect(db.transactions.map((t) => t.id)).toContain(id);
+    expect(db.recurring_payments[0].next_date).toBe('2026-10-01');
+  });
+
+  it('merging twice adds nothing the second time', async () => {
+    const tables = await sampleTables();
+    const backup = await roundTrip(tables);
+    const { mutations } = planRestore({ ownerEmail: OWNER, backupTables: rowsOf(backup), currentTables: tables, modes: {} });
+    expect(mutations).toEqual([]);
+  });
+
+  it('skips history whose payment or bill is not restored', async () => {
+    const tables = await sampleTables();
+    const backup = await roundTrip(tables);
+    const { mutations, summary } = planRestore({
+      ownerEmail: OWNER,
+      backupTables: rowsOf(backup),
+      currentTables: {},
+      modes: { recurring_payments: 'skip', bill_reminders: 'skip' },
+    });
+    expect(mutations.some((m) => m.table === 'recurring_payment_runs' || m.table === 'bill_payments')).toBe(false);
+    expect(summary.recurring_payment_runs.skipped).toBe(2);
+    expect(summary.bill_payments.skipped).toBe(1);
+  });
+
+  it('lets a replaced parent take its children with it', async () => {
+    const tables = await sampleTables();
+    const backup = await roundTrip({ ...tables, recurring_payments: [], recurring_payment_runs: [] });
+    const { mutations } = planRestore({
+      ownerEmail: OWNER,
+      backupTables: rowsOf(backup),
+      currentTables: tables,
+      modes: { recurring_payments: 'replace', recurring_payment_runs: 'replace' },
+    });
+    // Only the payment is deleted; the database cascades to its runs
+    expect(mutations.filter((m) => m.op === 'delete')).toEqual([
+      { table: 'recurring_payments', op: 'delete', rowId: 'pay-1', payload: null },
+    ]);
+    const db = applyMutations(tables, mutations);
+    expect(db.recurring_payment_runs).toEqual([]);
+  });
+
+  it('reads backups made before these tables were added', async () => {
+    const tables = await sampleTables();
+    const backup = await roundTrip(tables);
+    for (const table of ['recurring_payment_runs', 'bill_payments', 'notifications']) delete backup.tables[table];
+    const verified = await verifyBackup(backup);
+    const backupTables = Object.fromEntries(
+      BACKUP_TABLES.filter((t) => verified.tables[t]).map((t) => [t, verified.tables[t].rows])
+    );
+    const { summary } = planRestore({ ownerEmail: OWNER, backupTables, currentTables: {}, modes: {} });
+    expect(summary.recurring_payment_runs).toBeUndefined();
+    expect(summary.recurring_payments.inserted).toBe(1);
+  });
+});
@@ -0,0 +1,121 @@
+// Passphrase-encrypted backups. The backup JSON (see backup.js) is encrypted
+// with AES-GCM under a key derived from the passphrase with PBKDF2:
+//
+// {
+//   format: 'mybank-backup-encrypted',
+//   version: 1,
+//   kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+//   cipher: { name: 'AES-GCM', iv },
+//   key_check,
+//   data,
+//   checksum
+// }
+//
+// Binary fields are base64. PBKDF2 yields 512 bits: the first half is the
+// AES key, the SHA-256 of the second half is stored as key_check. The header
+// (everything but data and checksum) is authenticated as AES-GCM additional
+// data, so neither it nor the ciphertext can be changed without failing the
+// tag.
+//
+// key_check alone cannot tell a wrong passphrase from an edited salt,
+// iteration count or key_check: both derive a key that does not match. So
+// checksum, a SHA-256 over the header and the ciphertext, is checked first
+// (like the checksums of plain backups): a file edited after export is
+// reported as modified, and only an intact file can fail with "Wrong
+// passphrase". Version 1 files have no checksum.
+
+export const ENCRYPTED_BACKUP_FORMAT = 'mybank-backup-encrypted';
+const ENCRYPTED_BACKUP_VERSION = 2;
+const PBKDF2_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+// Big buffers overflow String.fromCharCode(...bytes), so encode in chunks
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512)
+  );
+  const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const keyCheck = toBase64(await crypto.subtle.digest('SHA-256', bits.slice(32)));
+  return { key, keyCheck };
+};
+
+// Everything except the ciphertext, in a fixed order
+const headerBytes = ({ format, version, kdf, cipher, key_check }) =>
+  new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher, key_check }));
+
+// Over the header and the ciphertext, so either being edited is noticed
+// before the passphrase is tried
+const envelopeChecksum = async (envelope) => {
+  const bytes = new TextEncoder().encode(JSON.stringify([new TextDecoder().decode(headerBytes(envelope)), envelope.data]));
+  return toBase64(await crypto.subtle.digest('SHA-256', bytes));
+};
+
+const MODIFIED_ERROR = 'This encrypted backup has been modified or is damaged, so it cannot be decrypted.';
+
+export const isEncryptedBackup = (parsed) => parsed?.format === ENCRYPTED_BACKUP_FORMAT;
+
+export const encryptBackup = async (backup, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const { key, keyCheck } = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const envelope = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    key_check: keyCheck,
+  };
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerBytes(envelope) },
+    key,
+    new TextEncoder().encode(JSON.stringify(backup))
+  );
+  const encrypted = { ...envelope, data: bytesToBase64(new Uint8Array(ciphertext)) };
+  return { ...encrypted, checksum: await envelopeChecksum(encrypted) };
+};
+
+// Returns the parsed backup. Throws an Error with a message that can be shown
+// to the user.
+export const decryptBackup = async (envelope, passphrase) => {
+  if (!isEncryptedBackup(envelope)) throw new Error('This file is not an encrypted MyBank backup.');
+  if (envelope.version > ENCRYPTED_BACKUP_VERSION) {
+    throw new Error('This backup was encrypted by a newer version of the app. Update the app and try again.');
+  }
+  if (envelope.version >= 2 && envelope.checksum !== (await envelopeChecksum(envelope))) {
+    throw new Error(MODIFIED_ERROR);
+  }
+
+  let salt, iv, data;
+  try {
+    if (envelope.kdf?.name !== 'PBKDF2' || envelope.cipher?.name !== 'AES-GCM') throw new Error();
+    if (!Number.isInteger(envelope.kdf.iterations) || envelope.kdf.iterations < 100000) throw new Error();
+    salt = fromBase64(envelope.kdf.salt);
+    iv = fromBase64(envelope.cipher.iv);
+    data = fromBase64(envelope.data);
+  } catch {
+    throw new Error('This encrypted backup is damaged and cannot be read.');
+  }
+
+  const { key, keyCheck } = await deriveKey(passphrase, salt, Number(envelope.kdf.iterations));
+  if (keyCheck !== envelope.key_check) throw new Error('Wrong passphrase.');
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(envelope) }, key, data);
+  } catch {
+    throw new Error(MODIFIED_ERROR);
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
@@ -0,0 +1,52 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { decryptBackup, encryptBackup, isEncryptedBackup } from './backupCrypto';
+
+const BACKUP = { format: 'mybank-backup', schema_version: 1, tables: { accounts: { count: 0, checksum: 'x', rows: [] } } };
+const PASSPHRASE = 'correct horse battery';
+const MODIFIED = /has been modified or is damaged/;
+
+describe('encrypted backups', () => {
+  // PBKDF2 at full strength is slow, so one file is shared by the tests
+  let envelope;
+  beforeAll(async () => {
+    envelope = await encryptBackup(BACKUP, PASSPHRASE);
+  });
+
+  it('decrypts with the right passphrase', async () => {
+    expect(isEncryptedBackup(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain('mybank-backup"');
+    await expect(decryptBackup(envelope, PASSPHRASE)).resolves.toEqual(BACKUP);
+  });
+
+  it('reports a wrong passphrase', async () => {
+    await expect(decryptBackup(envelope, 'not the passphrase')).rejects.toThrow('Wrong passphrase.');
+  });
+
+  it.each([
+    ['the salt', (e) => ({ ...e, kdf: { ...e.kdf, salt: btoa('0123456789abcdef') } })],
+    ['the iteration count', (e) => ({ ...e, kdf: { ...e.kdf, iterations: e.kdf.iterations + 1 } })],
+    ['the key derivation', (e) => ({ ...e, kdf: { ...e.kdf, hash: 'SHA-1' } })],
+    ['key_check', (e) => ({ ...e, key_check: btoa('x'.repeat(32)) })],
+    ['the IV', (e) => ({ ...e, cipher: { ...e.cipher, iv: btoa('0'.repeat(12)) } })],
+    ['the ciphertext', (e) => ({ ...e, data: `A${e.data.slice(1)}` })],
+  ])('reports a change to %s as tampering, not as a wrong passphrase', async (_, tamper) => {
+    await expect(decryptBackup(tamper(envelope), PASSPHRASE)).rejects.toThrow(MODIFIED);
+  });
+
+  it('still catches an edited header when the checksum is recomputed', async () => {
+    // The checksum is not secret; the AES-GCM tag over the header is what
+    // stops a forged file from decrypting
+    const { checksum, ...rest } = envelope;
+    const forged = { ...rest, cipher: { ...rest.cipher, iv: btoa('1'.repeat(12)) } };
+    const bytes = new TextEncoder().encode(JSON.stringify([
+      JSON.stringify({ format: forged.format, version: forged.version, kdf: forged.kdf, cipher: forged.cipher, key_check: forged.key_check }),
+      forged.data,
+    ]));
+    forged.checksum = btoa(String.fromCharCode(...new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))));
+    await expect(decryptBackup(forged, PASSPHRASE)).rejects.toThrow(MODIFIED);
+  });
+
+  it('refuses files from a newer version', async () => {
+    await expect(decryptBackup({ ...envelope, version: 99 }, PASSPHRASE)).rejects.toThrow(/newer version/);
+  });
+});
@@ -0,0 +1,187 @@
+import { billRemaining } from './bills';
+import { getRegistration } from './backgroundSync';
+
+// Bill reminders as system notifications: a few days before a bill is due
+// (its own remind_days_before, or the user's default), on the due day, and
+// once when it becomes overdue. Opt-in per user.
+//
+// There is no push server and the app never subscribes to Web Push, so the
+// checks run wherever the app's code runs: on app start and when it comes
+// back to the foreground, and in the service worker during periodic sync
+// (Chromium, installed app only). The service worker's push handler (see
+// sw.js) is only reached through simulatePush() for now.
+//
+// Settings and the reminders already shown are kept in IndexedDB, which the
+// service worker can read, unlike localStorage.
+
+const DB_NAME = 'mybankNotifications';
+const DB_VERSION = 1;
+const STORE = 'state';
+
+export const DEFAULT_LEAD_DAYS = 3;
+export const PAY_BILL_ACTION = 'pay-bill';
+
+const DEFAULT_SETTINGS = { enabled: false, leadDays: DEFAULT_LEAD_DAYS };
+
+let notificationsDb;
+
+const openDb = () => {
+  if (notificationsDb) return Promise.resolve(notificationsDb);
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not available in this environment'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onerror = () => reject(req.error || new Error('Notifications DB open failed'));
+    req.onsuccess = () => {
+      notificationsDb = req.result;
+      resolve(notificationsDb);
+    };
+    req.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+  });
+};
+
+const readKey = async (key) => {
+  const db = await openDb();
+  return new Promise((res, rej) => {
+    const req = db.transaction(STORE, 'readonly').objectStore(STORE).get(key);
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+};
+
+const writeKey = async (key, value) => {
+  const db = await openDb();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(value, key);
+    tx.oncomplete = () => res();
+    tx.onerror = () => rej(tx.error);
+  });
+};
+
+// { enabled, leadDays }
+export const getNotificationSettings = async (ownerEmail) => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...(await readKey(`settings:${ownerEmail}`)) };
+  } catch (error) {
+    console.error('Error reading notification settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveNotificationSettings = (ownerEmail, settings) => writeKey(`settings:${ownerEmail}`, settings);
+
+export const notificationsSupported = () => typeof Notification !== 'undefined';
+
+// Asks for permission; resolves to true once notifications may be shown
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+// Which reminder a bill is due for today: 'upcoming', 'due', 'overdue' or null
+export const billReminderStage = (bill, today, defaultLeadDays = DEFAULT_LEAD_DAYS) => {
+  if (bill.is_paid) return null;
+  const daysLeft = daysBetween(today, bill.due_date);
+  const leadDays = bill.remind_days_before ?? defaultLeadDays;
+  if (daysLeft < 0) return 'overdue';
+  if (daysLeft === 0) return 'due';
+  return daysLeft <= leadDays ? 'upcoming' : null;
+};
+
+// The app URL that opens a bill, optionally straight into paying it
+export const billUrl = (billId, action) =>
+  `/?page=billReminders&bill=${encodeURIComponent(billId)}${action ? `&action=${action}` : ''}`;
+
+export const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(Number(amount) || 0);
+
+// { title, options } for showNotification()
+export const billNotification = (bill, stage, today) => {
+  const daysLeft = daysBetween(today, bill.due_date);
+  const title = {
+    upcoming: `${bill.description} is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+    due: `${bill.description} is due today`,
+    overdue: `${bill.description} is overdue`,
+  }[stage];
+  return {
+    title,
+    options: {
+      body: `${formatAmount(billRemaining(bill))} due on ${bill.due_date}`,
+      // One notification per bill: a later stage replaces the earlier one
+      tag: `bill-${bill.id}`,
+      renotify: true,
+      data: { url: billUrl(bill.id), billId: bill.id },
+      actions: [{ action: PAY_BILL_ACTION, title: 'Mark as paid' }],
+    },
+  };
+};
+
+// { title, options } for a Web Push payload (see simulatePush). Kept apart from
+// the service worker's showNotification() call so it can be tested.
+export const pushNotification = (payload, today) => {
+  if (payload?.type === 'bill-reminder' && payload.bill) {
+    return billNotification(payload.bill, payload.stage || 'due', today);
+  }
+  return {
+    title: payload?.title || 'MyBank',
+    options: { body: payload?.body || '', data: { url: payload?.url || '/' } },
+  };
+};
+
+// Where clicking a notification leads: "Mark as paid" opens the bill's pay
+// dialog, anything else the notification's own URL
+export const notificationClickUrl = (data, action) => {
+  const { url = '/', billId } = data || {};
+  return billId && action === PAY_BILL_ACTION ? billUrl(billId, PAY_BILL_ACTION) : url;
+};
+
+// Shows a notification through the service worker (needed for actions), or
+// a plain one where there is none (dev server)
+export const showNotification = async (title, options) => {
+  const registration = await getRegistration();
+  if (registration?.showNotification) return registration.showNotification(title, options);
+  if (notificationsSupported()) new Notification(title, options);
+};
+
+// Shows every reminder due today that has not been shown yet. Does nothing
+// unless the user opted in and allowed notifications.
+export const notifyDueBills = async (ownerEmail, bills, today = new Date().toISOString().slice(0, 10)) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return 0;
+  const settings = await getNotificationSettings(ownerEmail);
+  if (!settings.enabled) return 0;
+  let shown = 0;
+  for (const bill of bills) {
+    const stage = billReminderStage(bill, today, settings.leadDays);
+    if (!stage) continue;
+    const sentKey = `sent:${ownerEmail}:${bill.id}:${stage}`;
+    try {
+      if (await readKey(sentKey)) continue;
+      const { title, options } = billNotification(bill, stage, today);
+      await showNotification(title, options);
+      await writeKey(sentKey, today);
+      shown += 1;
+    } catch (error) {
+      console.error('Error showing bill reminder:', error);
+    }
+  }
+  return shown;
+};
+
+// The local push stand-in: hands a payload to the service worker's push
+// handler as if it came from a push service. Payloads:
+//   { type: 'bill-reminder', bill, stage }  a bill reminder
+//   { title, body, url }                     any other notification
+export const simulatePush = async (payload) => {
+  const registration = await getRegistration();
+  if (!registration?.active) throw new Error('The service worker is not running. Use a production build (npm run build && npm run preview).');
+  registration.active.postMessage({ type: 'simulate-push', payload });
+};
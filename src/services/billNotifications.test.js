@@ -0,0 +1,187 @@
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getRegistration } from './backgroundSync';
+import {
+  billReminderStage,
+  notificationClickUrl,
+  notifyDueBills,
+  pushNotification,
+  requestNotificationPermission,
+  saveNotificationSettings,
+  PAY_BILL_ACTION,
+} from './billNotifications';
+import { electricityBill } from './__fixtures__/memoryTables';
+
+// bills.js pulls in the scheduler, which writes through the outbox
+vi.mock('./outbox', () => ({ mutateOrQueue: vi.fn() }));
+vi.mock('./backgroundSync', () => ({ getRegistration: vi.fn() }));
+
+const TODAY = '2026-03-10';
+const bill = (changes) => electricityBill({ due_date: TODAY, ...changes });
+
+// The browser's Notification API with the given permission
+const stubNotification = (permission, requested = permission) => {
+  const FakeNotification = vi.fn();
+  FakeNotification.permission = permission;
+  FakeNotification.requestPermission = vi.fn(async () => requested);
+  vi.stubGlobal('Notification', FakeNotification);
+  return FakeNotification;
+};
+
+describe('billReminderStage', () => {
+  it('reminds within the lead time, on the due day and once overdue', () => {
+    expect(billReminderStage(bill({ due_date: '2026-03-14' }), TODAY, 3)).toBe(null);
+    expect(billReminderStage(bill({ due_date: '2026-03-13' }), TODAY, 3)).toBe('upcoming');
+    expect(billReminderStage(bill({ due_date: '2026-03-11' }), TODAY, 3)).toBe('upcoming');
+    expect(billReminderStage(bill(), TODAY, 3)).toBe('due');
+    expect(billReminderStage(bill({ due_date: '2026-02-28' }), TODAY, 3)).toBe('overdue');
+  });
+
+  it("uses the bill's own lead time over the default", () => {
+    expect(billReminderStage(bill({ due_date: '2026-03-17', remind_days_before: 7 }), TODAY, 3)).toBe('upcoming');
+    expect(billReminderStage(bill({ due_date: '2026-03-11', remind_days_before: 0 }), TODAY, 3)).toBe(null);
+  });
+
+  it('never reminds about a paid bill', () => {
+    expect(billReminderStage(bill({ is_paid: true, due_date: '2026-02-28' }), TODAY, 3)).toBe(null);
+  });
+});
+
+describe('notifyDueBills', () => {
+  let registration;
+  let ownerCount = 0;
+  let owner;
+
+  beforeEach(async () => {
+    // A new owner per test, so reminders shown by one test are not remembered in the next
+    ownerCount += 1;
+    owner = `user${ownerCount}@example.com`;
+    registration = { showNotification: vi.fn(async () => {}) };
+    getRegistration.mockResolvedValue(registration);
+    stubNotification('granted');
+    await saveNotificationSettings(owner, { enabled: true, leadDays: 3 });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('shows a reminder for each bill due for one', async () => {
+    const bills = [bill(), bill({ id: 'bill-2', due_date: '2026-03-12' }), bill({ id: 'bill-3', due_date: '2026-04-01' })];
+    expect(await notifyDueBills(owner, bills, TODAY)).toBe(2);
+    expect(registration.showNotification.mock.calls.map(([title]) => title)).toEqual([
+      'Electricity is due today',
+      'Electricity is due in 2 days',
+    ]);
+  });
+
+  it('does not show the same reminder twice', async () => {
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(1);
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(0);
+    expect(registration.showNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the next stage of a bill already reminded about', async () => {
+    await notifyDueBills(owner, [bill({ due_date: '2026-03-12' })], TODAY);
+    expect(await notifyDueBills(owner, [bill({ due_date: '2026-03-12' })], '2026-03-12')).toBe(1);
+    expect(await notifyDueBills(owner, [bill({ due_date: '2026-03-12' })], '2026-03-13')).toBe(1);
+    expect(registration.showNotification.mock.calls.map(([title]) => title)).toEqual([
+      'Electricity is due in 2 days',
+      'Electricity is due today',
+      'Electricity is overdue',
+    ]);
+  });
+
+  it('shows nothing until the user opts in', async () => {
+    await saveNotificationSettings(owner, { enabled: false, leadDays: 3 });
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(0);
+    expect(await notifyDueBills('never-set-up@example.com', [bill()], TODAY)).toBe(0);
+    expect(registration.showNotification).not.toHaveBeenCalled();
+  });
+
+  it('shows nothing when permission was denied or not given yet', async () => {
+    stubNotification('denied');
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(0);
+    stubNotification('default');
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(0);
+    expect(registration.showNotification).not.toHaveBeenCalled();
+  });
+
+  it('shows nothing in a browser without notifications', async () => {
+    vi.stubGlobal('Notification', undefined);
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(0);
+    expect(registration.showNotification).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a plain notification without a service worker', async () => {
+    getRegistration.mockResolvedValue(null);
+    const FakeNotification = stubNotification('granted');
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(1);
+    expect(FakeNotification).toHaveBeenCalledWith('Electricity is due today', expect.objectContaining({ tag: 'bill-bill-1' }));
+  });
+
+  it('tries a reminder again when showing it failed', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    registration.showNotification.mockRejectedValueOnce(new Error('blocked'));
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(0);
+    expect(await notifyDueBills(owner, [bill()], TODAY)).toBe(1);
+    error.mockRestore();
+  });
+});
+
+describe('requestNotificationPermission', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('resolves to whether notifications may be shown', async () => {
+    stubNotification('granted');
+    expect(await requestNotificationPermission()).toBe(true);
+    expect(Notification.requestPermission).not.toHaveBeenCalled();
+    stubNotification('default', 'granted');
+    expect(await requestNotificationPermission()).toBe(true);
+    stubNotification('default', 'denied');
+    expect(await requestNotificationPermission()).toBe(false);
+  });
+
+  it('resolves to false in a browser without notifications', async () => {
+    vi.stubGlobal('Notification', undefined);
+    expect(await requestNotificationPermission()).toBe(false);
+  });
+});
+
+describe('pushNotification', () => {
+  it('builds a bill reminder with a "Mark as paid" action', () => {
+    const { title, options } = pushNotification({ type: 'bill-reminder', bill: bill({ paid_amount: 200 }), stage: 'due' }, TODAY);
+    expect(title).toBe('Electricity is due today');
+    expect(options.body).toBe('₹1,000.00 due on 2026-03-10');
+    expect(options.data).toEqual({ url: '/?page=billReminders&bill=bill-1', billId: 'bill-1' });
+    expect(options.actions).toEqual([{ action: PAY_BILL_ACTION, title: 'Mark as paid' }]);
+  });
+
+  it('treats a bill reminder without a stage as due', () => {
+    expect(pushNotification({ type: 'bill-reminder', bill: bill() }, TODAY).title).toBe('Electricity is due today');
+  });
+
+  it('shows any other payload as it is, with defaults for what is missing', () => {
+    expect(pushNotification({ title: 'Hello', body: 'World', url: '/?page=settings' }, TODAY)).toEqual({
+      title: 'Hello',
+      options: { body: 'World', data: { url: '/?page=settings' } },
+    });
+    expect(pushNotification(undefined, TODAY)).toEqual({ title: 'MyBank', options: { body: '', data: { url: '/' } } });
+  });
+});
+
+describe('notificationClickUrl', () => {
+  const data = { url: '/?page=billReminders&bill=bill-1', billId: 'bill-1' };
+
+  it('opens the pay dialog for "Mark as paid"', () => {
+    expect(notificationClickUrl(data, PAY_BILL_ACTION)).toBe('/?page=billReminders&bill=bill-1&action=pay-bill');
+  });
+
+  it("opens the notification's own URL otherwise", () => {
+    expect(notificationClickUrl(data, '')).toBe(data.url);
+    expect(notificationClickUrl({ url: '/?page=settings' }, PAY_BILL_ACTION)).toBe('/?page=settings');
+    expect(notificationClickUrl(undefined, '')).toBe('/');
+  });
+});
@@ -0,0 +1,75 @@
+import { nextOccurrence, parseRule } from './recurrence';
+import { occurrenceId } from './scheduler';
+import { roundMoney } from './ledger';
+
+// Bill reminders. A recurring bill is a series of reminders, one per due
+// date, sharing a series_id (the id of the first one). Paying a reminder
+// keeps it as history (paid_date, paid_amount) and creates the next one.
+// A bill can be paid in parts; paid_amount is the total paid so far.
+
+export const isRecurringBill = (bill) => Boolean(bill.recurrence_rule);
+
+// The reminder that follows `bill` in its series, or null if the bill does
+// not repeat or its rule has ended. Its id is derived from the series and the
+// due date.
+export const nextBillReminder = async (bill) => {
+  if (!isRecurringBill(bill)) return null;
+  const seriesId = bill.series_id || bill.id;
+  const dueDate = nextOccurrence(parseRule(bill.recurrence_rule), bill.start_date || bill.due_date, bill.due_date);
+  if (!dueDate) return null;
+  return {
+    id: await occurrenceId(seriesId, dueDate),
+    owner_email: bill.owner_email,
+    account_id: bill.account_id || null,
+    description: bill.description,
+    amount: Number(bill.amount),
+    category: bill.category,
+    due_date: dueDate,
+    remind_days_before: bill.remind_days_before ?? null,
+    recurrence_rule: bill.recurrence_rule,
+    start_date: bill.start_date || bill.due_date,
+    series_id: seriesId,
+    is_paid: false,
+    created_at: new Date().toISOString(),
+  };
+};
+
+// Paid reminders of the series `bill` belongs to, newest first
+export const billHistory = (bills, bill) => {
+  const seriesId = bill.series_id || bill.id;
+  return bills
+    .filter((b) => b.is_paid && (b.series_id || b.id) === seriesId)
+    .sort((a, b) => b.due_date.localeCompare(a.due_date));
+};
+
+// What is left to pay on a bill (0 once it is paid)
+export const billRemaining = (bill) =>
+  bill.is_paid ? 0 : Math.max(roundMoney(Number(bill.amount) - (Number(bill.paid_amount) || 0)), 0);
+
+// 'paid', 'partial' (something paid, some left) or 'unpaid'
+export const billStatus = (bill) => {
+  if (bill.is_paid) return 'paid';
+  return Number(bill.paid_amount) > 0 ? 'partial' : 'unpaid';
+};
+
+export const BILL_STATUS_LABELS = { paid: 'Paid', partial: 'Partially paid', unpaid: 'Unpaid' };
+
+// The bill's new columns after a payment of `amount` on `date`. It is paid
+// once the total reaches the bill amount, or straight away with settle (the
+// final amount of a variable bill came in lower than expected). Throws for
+// an amount that is not positive or more than is left to pay.
+export const billAfterPayment = (bill, { amount, date, settle = false }) => {
+  const paidNow = roundMoney(amount);
+  const remaining = billRemaining(bill);
+  if (!(paidNow > 0)) throw new Error('The payment must be more than zero.');
+  if (paidNow > remaining) {
+    const left = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(remaining);
+    throw new Error(`Only ${left} is left to pay on this bill.`);
+  }
+  const paidAmount = roundMoney((Number(bill.paid_amount) || 0) + paidNow);
+  return {
+    paid_amount: paidAmount,
+    paid_date: date,
+    is_paid: settle || paidAmount >= roundMoney(bill.amount),
+  };
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it, vi } from 'vitest';
+import { billAfterPayment, billRemaining } from './bills';
+import { electricityBill } from './__fixtures__/memoryTables';
+
+// bills.js pulls in the scheduler, which writes through the outbox
+vi.mock('./outbox', () => ({ mutateOrQueue: vi.fn() }));
+
+const DATE = '2026-03-10';
+const bill = (changes) => electricityBill({ due_date: DATE, ...changes });
+
+describe('billAfterPayment', () => {
+  it('adds a part payment and leaves the bill open', () => {
+    expect(billAfterPayment(bill({ paid_amount: 200 }), { amount: 300, date: DATE })).toEqual({
+      paid_amount: 500,
+      paid_date: DATE,
+      is_paid: false,
+    });
+  });
+
+  it('marks the bill paid once the total reaches the bill amount', () => {
+    expect(billAfterPayment(bill({ paid_amount: 1199.7 }), { amount: 0.3, date: DATE }).is_paid).toBe(true);
+  });
+
+  it('settles a bill for less than its amount', () => {
+    expect(billAfterPayment(bill(), { amount: 900, date: DATE, settle: true })).toEqual({
+      paid_amount: 900,
+      paid_date: DATE,
+      is_paid: true,
+    });
+  });
+
+  it('refuses more than is left to pay', () => {
+    expect(() => billAfterPayment(bill({ paid_amount: 200 }), { amount: 1000.01, date: DATE }))
+      .toThrow('Only ₹1,000.00 is left to pay on this bill.');
+    expect(() => billAfterPayment(bill({ paid_amount: 200 }), { amount: 1000, date: DATE })).not.toThrow();
+  });
+
+  it('refuses any payment on a bill that is already paid', () => {
+    expect(() => billAfterPayment(bill({ is_paid: true, paid_amount: 1200 }), { amount: 1, date: DATE }))
+      .toThrow('Only ₹0.00 is left to pay on this bill.');
+  });
+
+  it('refuses a payment that is not more than zero', () => {
+    expect(() => billAfterPayment(bill(), { amount: 0, date: DATE })).toThrow('more than zero');
+    expect(() => billAfterPayment(bill(), { amount: -50, date: DATE })).toThrow('more than zero');
+    expect(() => billAfterPayment(bill(), { amount: '', date: DATE })).toThrow('more than zero');
+  });
+});
+
+describe('billRemaining', () => {
+  it('is what is left of the bill amount, and nothing once paid', () => {
+    expect(billRemaining(bill({ paid_amount: 200.1 }))).toBe(999.9);
+    expect(billRemaining(bill({ paid_amount: 1500 }))).toBe(0);
+    expect(billRemaining(bill({ is_paid: true }))).toBe(0);
+  });
+});
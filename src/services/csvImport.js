@@ -0,0 +1,210 @@
+import { roundMoney } from './ledger';
+
+// CSV statement import: parsing, column mapping and validation. These are
+// pure functions; the import wizard in App.jsx drives them.
+//
+// Mapped rows come out in the normalized shape every importer produces:
+// { type: 'income' | 'expense', amount (signed), description, category, date (YYYY-MM-DD) }
+
+export const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY'];
+
+// How the file writes one thousand two hundred and thirty-four and a half
+export const DECIMAL_FORMATS = {
+  dot: '1,234.50',
+  comma: '1.234,50',
+};
+
+export const DEFAULT_CATEGORY = 'Uncategorized';
+
+// Comma, semicolon or tab, whichever splits the first line into the most cells
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return [',', ';', '\t'].reduce(
+    (best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best),
+    ','
+  );
+};
+
+// Splits CSV text into rows of cells. Handles quoted cells containing the
+// delimiter, line breaks or doubled quotes (""). Blank lines are dropped.
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Parses a date written in one of DATE_FORMATS into YYYY-MM-DD. Anything
+// after the date (e.g. a time) is ignored. Returns null for invalid dates.
+export const parseDate = (value, format) => {
+  const parts = String(value || '').trim().split(/[/\-. ]+/);
+  const tokens = format.split(/[/\- ]/);
+  if (parts.length < tokens.length) return null;
+
+  let day, month, year;
+  tokens.forEach((token, i) => {
+    const part = parts[i];
+    if (token === 'DD') day = Number(part);
+    else if (token === 'MM') month = Number(part);
+    else if (token === 'MMM') month = MONTHS.indexOf(part.slice(0, 3).toLowerCase()) + 1;
+    else if (token === 'YYYY') year = Number(part) + (part.length === 2 ? 2000 : 0);
+  });
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    !Number.isInteger(day) || !Number.isInteger(month) || !Number.isInteger(year) ||
+    date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Parses an amount such as "₹1,234.50", "(250.00)", "1.234,50", "500 Dr" or
+// "75-". Returns null for an empty cell and NaN for anything unreadable.
+export const parseAmount = (value, decimalFormat = 'dot') => {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\s*dr\.?$/i.test(text)) {
+    sign = -sign;
+    text = text.replace(/\s*dr\.?$/i, '');
+  } else {
+    text = text.replace(/\s*cr\.?$/i, '');
+  }
+
+  text = text.replace(/^(rs\.?|inr|₹|\$|€|£)\s*/i, '').replace(/[\s']/g, '');
+  text = decimalFormat === 'comma'
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+  if (text.endsWith('-')) {
+    sign = -sign;
+    text = text.slice(0, -1);
+  }
+
+  if (!/^[-+]?\d*\.?\d+$/.test(text)) return NaN;
+  return sign * Number(text);
+};
+
+// Column mapping: which column (by index, '' for none) holds which field
+export const EMPTY_MAPPING = {
+  hasHeader: true,
+  date: '',
+  description: '',
+  amountMode: 'signed', // 'signed' (one amount column) or 'split' (debit and credit columns)
+  amount: '',
+  debit: '',
+  credit: '',
+  category: '',
+  dateFormat: DATE_FORMATS[0],
+  decimalFormat: 'dot',
+};
+
+const COLUMN_PATTERNS = {
+  date: /date/i,
+  description: /desc|narration|particular|detail|remark|payee|memo/i,
+  debit: /debit|withdrawal|\bdr\b/i,
+  credit: /credit|deposit|\bcr\b/i,
+  amount: /amount|amt/i,
+  category: /categor/i,
+};
+
+// Best guess at the mapping from a header row
+export const guessMapping = (headers = []) => {
+  const find = (pattern) => {
+    const index = headers.findIndex((h) => pattern.test(h));
+    return index === -1 ? '' : index;
+  };
+  const mapping = { ...EMPTY_MAPPING };
+  for (const field of Object.keys(COLUMN_PATTERNS)) {
+    mapping[field] = find(COLUMN_PATTERNS[field]);
+  }
+  mapping.amountMode = mapping.debit !== '' && mapping.credit !== '' ? 'split' : 'signed';
+  return mapping;
+};
+
+// Applies the mapping to every data row. Each result is
+// { line, cells, errors, transaction }; transaction is null when errors is not empty.
+export const mapRows = (rows, mapping) => {
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+  const firstLine = mapping.hasHeader ? 2 : 1;
+
+  return dataRows.map((cells, i) => {
+    const cell = (column) => (column === '' || column == null ? '' : String(cells[column] ?? '').trim());
+    const errors = [];
+
+    const date = parseDate(cell(mapping.date), mapping.dateFormat);
+    if (!date) errors.push(`Invalid date "${cell(mapping.date)}"`);
+
+    let amount;
+    if (mapping.amountMode === 'split') {
+      const debit = parseAmount(cell(mapping.debit), mapping.decimalFormat);
+      const credit = parseAmount(cell(mapping.credit), mapping.decimalFormat);
+      if (Number.isNaN(debit) || Number.isNaN(credit)) {
+        errors.push(`Invalid amount "${cell(mapping.debit) || cell(mapping.credit)}"`);
+      }
+      amount = (credit || 0) - Math.abs(debit || 0);
+    } else {
+      amount = parseAmount(cell(mapping.amount), mapping.decimalFormat);
+      if (amount === null || Number.isNaN(amount)) errors.push(`Invalid amount "${cell(mapping.amount)}"`);
+    }
+    if (!errors.some((e) => e.startsWith('Invalid amount')) && !amount) errors.push('Amount is zero');
+
+    const description = cell(mapping.description);
+    if (!description) errors.push('Missing description');
+
+    return {
+      line: firstLine + i,
+      cells,
+      errors,
+      transaction: errors.length ? null : {
+        type: amount < 0 ? 'expense' : 'income',
+        amount: roundMoney(amount),
+        description,
+        category: cell(mapping.category) || DEFAULT_CATEGORY,
+        date,
+      },
+    };
+  });
+};
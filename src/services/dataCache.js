@@ -0,0 +1,42 @@
+// Last-known copy of the user's rows, kept in the Cache API so both the app
+// and the service worker (periodic sync) can read and write it. The dashboard
+// renders from here first, then replaces it with live data.
+
+const DATA_CACHE_NAME = 'mybank-data-v1';
+
+const cacheKey = (ownerEmail, table) => `/__data__/${encodeURIComponent(ownerEmail)}/${table}.json`;
+
+export const writeCachedRows = async (ownerEmail, table, rows) => {
+  if (typeof caches === 'undefined') return;
+  try {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    await cache.put(
+      cacheKey(ownerEmail, table),
+      new Response(JSON.stringify({ rows, cachedAt: new Date().toISOString() }), {
+        headers: { 'Content-Type': 'application/json' },
+      })
+    );
+  } catch (error) {
+    console.error('Error caching data:', error);
+  }
+};
+
+// Resolves to the cached rows, or null when nothing has been cached yet
+export const readCachedRows = async (ownerEmail, table) => {
+  if (typeof caches === 'undefined') return null;
+  try {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const response = await cache.match(cacheKey(ownerEmail, table));
+    if (!response) return null;
+    const { rows } = await response.json();
+    return rows;
+  } catch (error) {
+    console.error('Error reading cached data:', error);
+    return null;
+  }
+};
+
+export const clearCachedRows = async () => {
+  if (typeof caches === 'undefined') return;
+  await caches.delete(DATA_CACHE_NAME);
+};
@@ -0,0 +1,71 @@
+import { roundMoney } from './ledger';
+
+// Finds statement lines that are already in the ledger, so importing an
+// overlapping statement does not post the same transaction twice.
+//
+// A line matches an existing transaction when both carry the same
+// external_id (OFX FITID), or otherwise when the amount is the same, the
+// dates are at most `dayWindow` days apart and the descriptions look alike.
+
+export const DEFAULT_DAY_WINDOW = 3;
+
+// Lower case, punctuation removed, and long digit runs (UPI / NEFT reference
+// numbers, card numbers) dropped, since banks print those differently
+export const normalizeDescription = (description) =>
+  String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && !/^\d{5,}$/.test(word))
+    .join(' ');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysApart = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+
+// Same normalized text, one containing the other, or at least half of the
+// words in common
+const similarDescriptions = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return false;
+  if (left === right || left.includes(right) || right.includes(left)) return true;
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const common = [...leftWords].filter((w) => rightWords.has(w)).length;
+  return common / Math.max(leftWords.size, rightWords.size) >= 0.5;
+};
+
+// 'external_id', 'fuzzy' or null
+export const matchTransactions = (candidate, existing, { dayWindow = DEFAULT_DAY_WINDOW } = {}) => {
+  if (candidate.external_id && existing.external_id) {
+    return candidate.external_id === existing.external_id ? 'external_id' : null;
+  }
+  if (roundMoney(candidate.amount) !== roundMoney(existing.amount)) return null;
+  if (!(daysApart(candidate.date, existing.date) <= dayWindow)) return null;
+  return similarDescriptions(candidate.description, existing.description) ? 'fuzzy' : null;
+};
+
+// Adds `duplicate: { transaction, reason } | null` to every preview row
+// ({ transaction, ... }). Each existing transaction is matched at most once,
+// so two genuine identical purchases on one day are not both flagged when
+// only one of them is already in the ledger. External id matches win over
+// fuzzy ones.
+export const flagDuplicates = (previewRows, existingTransactions, options) => {
+  const used = new Set();
+  const flagged = previewRows.map((row) => ({ ...row, duplicate: null }));
+
+  for (const reason of ['external_id', 'fuzzy']) {
+    for (const row of flagged) {
+      if (!row.transaction || row.duplicate) continue;
+      const match = existingTransactions.find(
+        (t) => !used.has(t.id) && matchTransactions(row.transaction, t, options) === reason
+      );
+      if (match) {
+        used.add(match.id);
+        row.duplicate = { transaction: match, reason };
+      }
+    }
+  }
+
+  return flagged;
+};
@@ -0,0 +1,13 @@
+// A UUID (version 5 layout) derived from a name with SHA-256: the same name
+// always gives the same id. Used for rows that several tabs, devices or the
+// service worker may create independently (a recurring payment occurrence,
+// the next reminder of a bill, a notification). Whoever writes first stores
+// the row; the others' inserts are ignored (see mutateOrQueue in outbox.js).
+export const nameBasedId = async (name) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(name));
+  const bytes = new Uint8Array(digest).slice(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50; // version 5 (name-based)
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
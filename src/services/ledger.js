@@ -0,0 +1,60 @@
+// Ledger helpers. Balances are derived from the transactions themselves
+// rather than read from accounts.balance, which is only kept as a stored copy
+// (see the reconciliation view).
+
+// Transaction types that count as real income or spending. Opening balances
+// and adjustments move the balance but are left out of income/expense figures.
+export const CASHFLOW_TYPES = ['income', 'expense'];
+
+export const isCashflow = (transaction) => CASHFLOW_TYPES.includes(transaction.type);
+
+// Avoids 0.1 + 0.2 style drift when summing amounts
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Oldest first. The opening balance comes first on its day, then entries by
+// time of day (entries without one first), then in the order they were
+// recorded. Back-dated entries therefore land where they belong, not at the end.
+export const sortByLedgerOrder = (transactions) =>
+  [...transactions].sort((a, b) =>
+    (a.date || '').localeCompare(b.date || '') ||
+    (b.type === 'opening_balance') - (a.type === 'opening_balance') ||
+    (a.time_of_day || '').localeCompare(b.time_of_day || '') ||
+    (a.created_at || '').localeCompare(b.created_at || '')
+  );
+
+// 'HH:MM' of a time_of_day ('HH:MM:SS' from Postgres), or ''
+export const formatTimeOfDay = (timeOfDay) => (timeOfDay ? timeOfDay.slice(0, 5) : '');
+
+export const getLedgerBalance = (transactions) =>
+  roundMoney(transactions.reduce((sum, t) => sum + (Number(t.amount) || 0), 0));
+
+// Adds `running_balance` (the balance after each entry) in ledger order
+export const withRunningBalance = (transactions, startingBalance = 0) => {
+  let running = startingBalance;
+  return sortByLedgerOrder(transactions).map((t) => {
+    running = roundMoney(running + (Number(t.amount) || 0));
+    return { ...t, running_balance: running };
+  });
+};
+
+export const getOpeningBalanceEntry = (transactions) =>
+  transactions.find((t) => t.type === 'opening_balance') || null;
+
+// Account types, as stored in accounts.type
+export const ACCOUNT_TYPES = {
+  savings: 'Savings',
+  current: 'Current',
+  credit_card: 'Credit Card',
+  cash: 'Cash Wallet',
+};
+
+// Transactions of one account, or all of them when accountId is null
+// (the consolidated view)
+export const filterByAccount = (transactions, accountId) =>
+  accountId ? transactions.filter((t) => t.account_id === accountId) : transactions;
+
+// { [accountId]: balance } for every account, including empty ones
+export const getBalancesByAccount = (accounts, transactions) =>
+  Object.fromEntries(
+    accounts.map((account) => [account.id, getLedgerBalance(filterByAccount(transactions, account.id))])
+  );
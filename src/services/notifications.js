@@ -0,0 +1,170 @@
+import { nameBasedId } from './ids';
+import { mutateOrQueue } from './outbox';
+import { getNotificationsByIds } from './supabaseDataClient';
+import { filterByAccount, isCashflow, roundMoney, sortByLedgerOrder } from './ledger';
+import { billNotification, billReminderStage, billUrl, formatAmount, DEFAULT_LEAD_DAYS } from './billNotifications';
+
+// The in-app notification feed (the bell in the header). Notifications are
+// worked out from the data the app already has (bills, balances, the outbox,
+// recurring payment runs) and stored in the notifications table, so the feed
+// and its read state follow the user across devices.
+//
+// Each event has a key (e.g. one bill's due stage) and the row id is derived
+// from it, so noticing the same event again adds nothing and keeps it read.
+
+export const NOTIFICATION_KINDS = {
+  bill_due: 'Bill due',
+  recurring_posted: 'Recurring payment',
+  low_balance: 'Low balance',
+  sync_failed: 'Sync failed',
+  large_transaction: 'Large transaction',
+};
+
+export const DEFAULT_LOW_BALANCE = 1000;
+export const DEFAULT_LARGE_TRANSACTION = 10000;
+
+// How far back a large transaction still gets a notification
+const LARGE_TRANSACTION_DAYS = 7;
+
+const accountUrl = (accountId) => `/?page=dashboard${accountId ? `&account=${encodeURIComponent(accountId)}` : ''}`;
+
+const daysBefore = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Unpaid bills within their reminder lead time, due today or overdue
+const billAlerts = (bills, today, leadDays) =>
+  bills.flatMap((bill) => {
+    const stage = billReminderStage(bill, today, leadDays);
+    if (!stage) return [];
+    const { title, options } = billNotification(bill, stage, today);
+    return [{ key: `bill:${bill.id}:${stage}`, kind: 'bill_due', title, body: options.body, url: billUrl(bill.id) }];
+  });
+
+// Accounts whose balance is below the threshold. The key is the entry that
+// took the balance below it, so each dip is notified once. Credit cards,
+// which normally run negative, are left out. A threshold of 0 turns it off.
+const lowBalanceAlerts = (accounts, transactions, threshold) =>
+  accounts.flatMap((account) => {
+    if (!(threshold > 0) || account.type === 'credit_card') return [];
+    let balance = 0;
+    let dippedAt = null;
+    for (const t of sortByLedgerOrder(filterByAccount(transactions, account.id))) {
+      const wasAbove = dippedAt === null;
+      balance = roundMoney(balance + (Number(t.amount) || 0));
+      if (balance < threshold && wasAbove) dippedAt = t;
+      if (balance >= threshold) dippedAt = null;
+    }
+    if (!dippedAt) return [];
+    return [{
+      key: `low-balance:${account.id}:${dippedAt.id}`,
+      kind: 'low_balance',
+      title: `${account.name} is running low`,
+      body: `Balance ${formatAmount(balance)}, below ${formatAmount(threshold)}`,
+      url: accountUrl(account.id),
+    }];
+  });
+
+// Income or spending of at least the threshold in the last few days. A
+// threshold of 0 turns it off.
+const largeTransactionAlerts = (accounts, transactions, threshold, today) => {
+  if (!(threshold > 0)) return [];
+  const since = daysBefore(today, LARGE_TRANSACTION_DAYS);
+  return transactions
+    .filter((t) => isCashflow(t) && t.date >= since && Math.abs(Number(t.amount) || 0) >= threshold)
+    .map((t) => {
+      const amount = Number(t.amount);
+      const account = accounts.find((a) => a.id === t.account_id);
+      return {
+        key: `large:${t.id}`,
+        kind: 'large_transaction',
+        title: `${amount < 0 ? 'Large payment' : 'Large deposit'} of ${formatAmount(Math.abs(amount))}`,
+        body: [t.description, account?.name, t.date].filter(Boolean).join(' · '),
+        url: accountUrl(t.account_id),
+      };
+    });
+};
+
+// Writes Supabase rejected (see Settings > Offline Sync). The feed's own writes are
+// left out so a failing feed does not report on itself.
+const syncFailureAlerts = (outboxEntries) =>
+  outboxEntries
+    .filter((e) => e.status === 'failed' && e.table !== 'notifications')
+    .map((e) => ({
+      key: `sync-failed:${e.seq}:${e.queuedAt}`,
+      kind: 'sync_failed',
+      title: 'A change could not be synced',
+      body: `${e.op} on ${e.table.replace(/_/g, ' ')}: ${e.lastError || 'rejected by the server'}`,
+      url: '/?page=settings',
+    }));
+
+// Every notification the current data calls for, as { key, kind, title, body, url }.
+// settings: { leadDays, lowBalance, largeTransaction }, the user's notification settings.
+export const deriveNotifications = ({ bills = [], accounts = [], transactions = [], outboxEntries = [], settings = {}, today }) => [
+  ...billAlerts(bills, today, settings.leadDays ?? DEFAULT_LEAD_DAYS),
+  ...lowBalanceAlerts(accounts, transactions, settings.lowBalance ?? DEFAULT_LOW_BALANCE),
+  ...largeTransactionAlerts(accounts, transactions, settings.largeTransaction ?? DEFAULT_LARGE_TRANSACTION, today),
+  ...syncFailureAlerts(outboxEntries),
+];
+
+// Notifications for recurring payment occurrences posted automatically, from
+// the runs postDueRecurringPayments() returns
+export const recurringPostedNotifications = (runs, payments) =>
+  runs
+    .filter((run) => run.status === 'posted')
+    .map((run) => {
+      const payment = payments.find((p) => p.id === run.payment_id);
+      const description = payment?.description || 'A recurring payment';
+      const income = payment?.type === 'income';
+      return {
+        key: `recurring-posted:${run.id}`,
+        kind: 'recurring_posted',
+        title: `${description} was ${income ? 'received' : 'paid'}`,
+        body: `${payment ? `${formatAmount(payment.amount)} ` : ''}${income ? 'added' : 'posted'} automatically for ${run.due_date}`,
+        url: '/?page=recurringPayments',
+      };
+    });
+
+// Stores the notifications not in `existing` yet. Resolves to those rows as
+// stored: the new ones, and ones `existing` was missing that were already
+// there (e.g. stored by another device), read back so they keep their read
+// state instead of showing up as unread again.
+export const saveNotifications = async (ownerEmail, items, existing = []) => {
+  const saved = [];
+  const alreadyStored = [];
+  for (const { key, ...fields } of items) {
+    const id = await nameBasedId(`notification:${ownerEmail}:${key}`);
+    if (existing.some((n) => n.id === id) || saved.some((n) => n.id === id) || alreadyStored.includes(id)) continue;
+    const row = { id, owner_email: ownerEmail, ...fields, read_at: null, created_at: new Date().toISOString() };
+    try {
+      const { data, queued } = await mutateOrQueue({ ownerEmail, table: 'notifications', op: 'insert', rowId: id, payload: row });
+      if (data || queued) saved.push(data || row);
+      else alreadyStored.push(id);
+    } catch (error) {
+      console.error('Error saving notification:', error);
+    }
+  }
+  if (alreadyStored.length) saved.push(...(await getNotificationsByIds(ownerEmail, alreadyStored)));
+  return saved;
+};
+
+export const isUnread = (notification) => !notification.read_at;
+
+// Marks notifications as read. Resolves to the updated rows.
+export const markNotificationsRead = async (ownerEmail, notifications) => {
+  const readAt = new Date().toISOString();
+  const updated = [];
+  for (const notification of notifications.filter(isUnread)) {
+    const { data } = await mutateOrQueue({
+      ownerEmail,
+      table: 'notifications',
+      op: 'update',
+      rowId: notification.id,
+      payload: { read_at: readAt },
+    });
+    updated.push(data || { ...notification, read_at: readAt });
+  }
+  return updated;
+};
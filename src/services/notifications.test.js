@@ -0,0 +1,69 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { nameBasedId } from './ids';
+import { mutateOrQueue } from './outbox';
+import { getNotificationsByIds } from './supabaseDataClient';
+import { saveNotifications } from './notifications';
+import { createMemoryTables, OWNER } from './__fixtures__/memoryTables';
+
+// The outbox and Supabase, replaced by in-memory tables
+vi.mock('./outbox', () => ({ mutateOrQueue: vi.fn() }));
+vi.mock('./supabaseDataClient', () => ({ getNotificationsByIds: vi.fn() }));
+
+const item = (key) => ({ key, kind: 'bill_due', title: `Bill ${key}`, body: '', url: '/' });
+const idFor = (key) => nameBasedId(`notification:${OWNER}:${key}`);
+
+let tables;
+let offline;
+
+beforeEach(() => {
+  tables = createMemoryTables();
+  offline = false;
+  mutateOrQueue.mockReset();
+  mutateOrQueue.mockImplementation(async (mutation) => (offline ? { data: null, queued: true } : tables.mutate(mutation)));
+  getNotificationsByIds.mockReset();
+  getNotificationsByIds.mockImplementation(async (ownerEmail, ids) => tables.rows('notifications').filter((n) => ids.includes(n.id)));
+});
+
+describe('saveNotifications', () => {
+  it('stores new notifications as unread', async () => {
+    const saved = await saveNotifications(OWNER, [item('a'), item('b')]);
+    expect(saved.map((n) => n.title)).toEqual(['Bill a', 'Bill b']);
+    expect(saved.every((n) => n.read_at === null)).toBe(true);
+    expect(tables.rows('notifications')).toHaveLength(2);
+  });
+
+  it('writes nothing for notifications already in the feed', async () => {
+    const existing = [{ id: await idFor('a'), read_at: '2026-03-01T10:00:00.000Z' }];
+    expect(await saveNotifications(OWNER, [item('a')], existing)).toEqual([]);
+    expect(mutateOrQueue).not.toHaveBeenCalled();
+  });
+
+  it('stores an event noticed twice in one batch once', async () => {
+    expect(await saveNotifications(OWNER, [item('a'), item('a')])).toHaveLength(1);
+    expect(mutateOrQueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the read state of a notification another device stored first', async () => {
+    const readAt = '2026-03-01T10:00:00.000Z';
+    tables.rows('notifications').push({ id: await idFor('a'), owner_email: OWNER, ...item('a'), read_at: readAt });
+    const saved = await saveNotifications(OWNER, [item('a'), item('b')]);
+    expect(saved.map((n) => [n.title, n.read_at])).toEqual([
+      ['Bill b', null],
+      ['Bill a', readAt],
+    ]);
+    expect(getNotificationsByIds).toHaveBeenCalledWith(OWNER, [await idFor('a')]);
+  });
+
+  it('leaves out a stored notification that cannot be read back', async () => {
+    tables.rows('notifications').push({ id: await idFor('a'), owner_email: OWNER, ...item('a'), read_at: '2026-03-01T10:00:00.000Z' });
+    getNotificationsByIds.mockResolvedValue([]);
+    expect(await saveNotifications(OWNER, [item('a')])).toEqual([]);
+  });
+
+  it('returns the queued rows while offline', async () => {
+    offline = true;
+    const saved = await saveNotifications(OWNER, [item('a')]);
+    expect(saved).toEqual([expect.objectContaining({ id: await idFor('a'), read_at: null })]);
+    expect(getNotificationsByIds).not.toHaveBeenCalled();
+  });
+});
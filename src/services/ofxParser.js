@@ -0,0 +1,79 @@
+import { parseAmount, DEFAULT_CATEGORY } from './csvImport';
+
+// OFX / QFX statement parser. Handles both OFX 1.x (SGML, where leaf
+// elements have no closing tag) and OFX 2.x (XML). Pure function: text in,
+// preview rows out, in the same shape as mapRows in csvImport.js:
+// { line, cells, errors, transaction }.
+//
+// Each transaction carries its FITID as external_id, which identifies the
+// statement line across downloads.
+
+// Value of a leaf element such as <TRNAMT>-250.00 (closing tag optional)
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// OFX dates are YYYYMMDD, optionally followed by a time and a time zone
+// (e.g. 20240105120000.000[+5.30:IST]). Only the date part is kept.
+export const parseOFXDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Account the statement belongs to: { accountId, type } where type is
+// 'bank' or 'credit_card'
+export const parseOFXAccount = (text) => {
+  const bank = text.match(/<BANKACCTFROM>([\s\S]*?)(<\/BANKACCTFROM>|<\/STMTRS>)/i);
+  if (bank) return { accountId: readTag(bank[1], 'ACCTID'), type: 'bank' };
+  const card = text.match(/<CCACCTFROM>([\s\S]*?)(<\/CCACCTFROM>|<\/CCSTMTRS>)/i);
+  if (card) return { accountId: readTag(card[1], 'ACCTID'), type: 'credit_card' };
+  return null;
+};
+
+export const parseOFX = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  return blocks.map((block, i) => {
+    const errors = [];
+    const fitId = readTag(block, 'FITID');
+    const rawAmount = readTag(block, 'TRNAMT');
+    // Some exporters write a decimal comma
+    const amount = parseAmount(rawAmount, /,\d{1,2}$/.test(rawAmount) ? 'comma' : 'dot');
+    const date = parseOFXDate(readTag(block, 'DTPOSTED'));
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+    const description = name && memo && name !== memo ? `${name} - ${memo}` : name || memo || readTag(block, 'TRNTYPE');
+
+    if (!date) errors.push(`Invalid date "${readTag(block, 'DTPOSTED')}"`);
+    if (amount === null || Number.isNaN(amount)) errors.push(`Invalid amount "${rawAmount}"`);
+    else if (!amount) errors.push('Amount is zero');
+    if (!fitId) errors.push('Missing FITID');
+
+    return {
+      line: i + 1,
+      cells: [readTag(block, 'DTPOSTED'), description, rawAmount],
+      errors,
+      transaction: errors.length ? null : {
+        type: amount < 0 ? 'expense' : 'income',
+        amount,
+        description,
+        category: DEFAULT_CATEGORY,
+        date,
+        external_id: fitId,
+      },
+    };
+  });
+};
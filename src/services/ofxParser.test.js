@@ -0,0 +1,67 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseOFX, parseOFXAccount, parseOFXDate } from './ofxParser';
+
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), 'utf8');
+
+describe('parseOFXDate', () => {
+  it('reads a plain date', () => {
+    expect(parseOFXDate('20240105')).toBe('2024-01-05');
+  });
+
+  it('keeps the date as written, whatever the time zone suffix', () => {
+    expect(parseOFXDate('20240105120000.000[+5.30:IST]')).toBe('2024-01-05');
+    expect(parseOFXDate('20240110233000[-5:EST]')).toBe('2024-01-10');
+    expect(parseOFXDate('20240203000000[0:GMT]')).toBe('2024-02-03');
+    expect(parseOFXDate('20240304120000')).toBe('2024-03-04');
+  });
+
+  it('rejects impossible and missing dates', () => {
+    expect(parseOFXDate('20240230')).toBeNull();
+    expect(parseOFXDate('2024-01-05')).toBeNull();
+    expect(parseOFXDate('')).toBeNull();
+    expect(parseOFXDate(undefined)).toBeNull();
+  });
+});
+
+describe('parseOFX', () => {
+  it('reads an OFX 1.x (SGML) bank statement', () => {
+    const text = fixture('statement-sgml.ofx');
+    expect(parseOFXAccount(text)).toEqual({ accountId: '50100012345678', type: 'bank' });
+
+    const rows = parseOFX(text);
+    expect(rows.map((r) => r.errors)).toEqual([[], [], []]);
+    expect(rows.map((r) => r.transaction)).toEqual([
+      { type: 'income', amount: 85000, description: 'SALARY ACME LTD - JAN 2024 SALARY', category: 'Uncategorized', date: '2024-01-01', external_id: '202401010001' },
+      // NAME and MEMO are the same: written once
+      { type: 'expense', amount: -1250.5, description: 'BIG BAZAAR', category: 'Uncategorized', date: '2024-01-05', external_id: '202401050002' },
+      { type: 'expense', amount: -499, description: 'NETFLIX & CO', category: 'Uncategorized', date: '2024-01-10', external_id: '202401100003' },
+    ]);
+  });
+
+  it('reads an OFX 2.x (XML) credit card statement', () => {
+    const text = fixture('statement-xml.ofx');
+    expect(parseOFXAccount(text)).toEqual({ accountId: '4111XXXXXXXX1111', type: 'credit_card' });
+
+    const [charge, payment, badDate] = parseOFX(text);
+    // Decimal comma
+    expect(charge.transaction).toMatchObject({ type: 'expense', amount: -3200.75, date: '2024-02-03', external_id: 'CC-88120' });
+    expect(payment.transaction).toMatchObject({ type: 'income', amount: 3200.75, date: '2024-02-15', external_id: 'CC-88121' });
+    expect(badDate.transaction).toBeNull();
+    expect(badDate.errors).toEqual(['Invalid date "20240230"']);
+  });
+
+  it('reads a QFX file like OFX', () => {
+    const rows = parseOFX(fixture('statement.qfx'));
+    expect(rows.map((r) => r.transaction)).toEqual([
+      { type: 'expense', amount: -75, description: 'CHECK 1042', category: 'Uncategorized', date: '2024-03-04', external_id: '90000001' },
+      { type: 'income', amount: 1200, description: 'MOBILE DEPOSIT', category: 'Uncategorized', date: '2024-03-08', external_id: '90000002' },
+    ]);
+  });
+
+  it('reports transactions without a FITID or an amount', () => {
+    const [row] = parseOFX('<STMTTRN><DTPOSTED>20240105<TRNAMT>0<NAME>X</STMTTRN>');
+    expect(row.transaction).toBeNull();
+    expect(row.errors).toEqual(['Amount is zero', 'Missing FITID']);
+  });
+});
@@ -0,0 +1,214 @@
+import { applyMutation } from './supabaseDataClient';
+import { requestOutboxSync } from './backgroundSync';
+
+// Offline outbox: writes that could not reach Supabase are kept in IndexedDB
+// and replayed in order once the connection is back.
+//
+// Entry shape: { seq, ownerEmail, table, op: 'insert' | 'update' | 'delete', rowId, payload, status, attempts, lastError, queuedAt }
+
+const OUTBOX_DB_NAME = 'bankingAppOutbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'mutations';
+const CHANNEL_NAME = 'bankingAppOutbox';
+
+let outboxDb;
+const listeners = new Set();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+const openOutbox = () => {
+  if (outboxDb) return Promise.resolve(outboxDb);
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not available in this environment'));
+      return;
+    }
+    const req = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    req.onerror = () => reject(req.error || new Error('Outbox DB open failed'));
+    req.onsuccess = () => {
+      outboxDb = req.result;
+      resolve(outboxDb);
+    };
+    req.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('byOwner', 'ownerEmail', { unique: false });
+      }
+    };
+  });
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openOutbox();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const r = fn(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => res(r?.result);
+    tx.onerror = () => rej(tx.error);
+  });
+};
+
+// Tell this tab, other tabs and the service worker that the queue changed
+const notify = () => {
+  listeners.forEach((listener) => listener());
+  channel?.postMessage({ type: 'outbox-changed' });
+};
+
+if (channel) {
+  channel.onmessage = () => listeners.forEach((listener) => listener());
+}
+
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Entries for one owner, oldest first (seq is auto-incremented)
+export const getOutboxEntries = (ownerEmail) =>
+  withStore('readonly', (st) => st.index('byOwner').getAll(ownerEmail)).then((entries) =>
+    (entries || []).sort((a, b) => a.seq - b.seq)
+  );
+
+export const enqueueMutation = async (mutation) => {
+  await withStore('readwrite', (st) =>
+    st.add({
+      ...mutation,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      queuedAt: new Date().toISOString(),
+    })
+  );
+  notify();
+  // Let the service worker drain the queue even if the app is closed first
+  requestOutboxSync();
+};
+
+const updateEntry = (entry) => withStore('readwrite', (st) => st.put(entry));
+const removeEntry = (seq) => withStore('readwrite', (st) => st.delete(seq));
+
+export const discardFailedMutations = async (ownerEmail) => {
+  const entries = await getOutboxEntries(ownerEmail);
+  for (const entry of entries.filter((e) => e.status === 'failed')) {
+    await removeEntry(entry.seq);
+  }
+  notify();
+};
+
+export const retryFailedMutations = async (ownerEmail) => {
+  const entries = await getOutboxEntries(ownerEmail);
+  for (const entry of entries.filter((e) => e.status === 'failed')) {
+    await updateEntry({ ...entry, status: 'pending' });
+  }
+  notify();
+  return flushOutbox(ownerEmail);
+};
+
+// Only being offline, a dropped connection or a timeout is worth retrying
+// ("Load failed" is Safari's failed fetch). Anything else, a PostgREST error
+// or a bug like a bad payload, would fail the same way again and hold up
+// every write queued after it.
+const isTransientError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  /fetch|network|timeout|load failed/i.test(error?.message || '');
+
+let flushing = null;
+
+const replayEntries = async (ownerEmail) => {
+  const entries = await getOutboxEntries(ownerEmail);
+  let flushed = 0;
+
+  for (const entry of entries) {
+    if (entry.status !== 'pending') continue;
+    try {
+      await applyMutation(entry);
+      await removeEntry(entry.seq);
+      flushed += 1;
+    } catch (error) {
+      if (isTransientError(error)) {
+        // Keep the order intact: stop here and try again on the next flush
+        await updateEntry({ ...entry, attempts: entry.attempts + 1, lastError: error?.message || String(error) });
+        break;
+      }
+      await updateEntry({ ...entry, status: 'failed', attempts: entry.attempts + 1, lastError: error?.message || String(error) });
+    }
+  }
+
+  notify();
+  const remaining = await getOutboxEntries(ownerEmail);
+  return { flushed, remaining: remaining.filter((e) => e.status === 'pending').length };
+};
+
+// Replays queued mutations in order. Concurrent calls share one run per tab,
+// and the Web Locks API (where available) keeps two tabs from replaying at once.
+export const flushOutbox = (ownerEmail) => {
+  if (!ownerEmail) return Promise.resolve({ flushed: 0, remaining: 0 });
+  if (!flushing) {
+    const run = () => replayEntries(ownerEmail);
+    flushing = (typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request('bankingAppOutboxFlush', run)
+      : run()
+    ).finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+// Every write to Supabase goes through here. It is sent straight away, or
+// queued when offline, when the request fails with a transient error, or when
+// older writes are still queued (so the order of writes is preserved).
+//
+// Writes are idempotent, so a queued write can be replayed safely even if it
+// already reached the server: rows get their id on the client, inserts are
+// upserts that ignore an id that already exists (apply_transaction does the
+// same for transactions), and updates and deletes target the id. An insert
+// sent twice therefore stores one row. Ids derived from what a row is about
+// (see nameBasedId in ids.js) extend this to rows created independently by
+// several tabs, devices or the service worker.
+//
+// Resolves to { data, queued }. data is the stored row, or null when the write
+// was queued or the insert was ignored because the id already existed.
+// Throws if Supabase rejects the write outright.
+export const mutateOrQueue = async (mutation) => {
+  const entries = await getOutboxEntries(mutation.ownerEmail).catch(() => []);
+  const hasBacklog = entries.some((e) => e.status === 'pending');
+  const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+
+  if (online && !hasBacklog) {
+    try {
+      const data = await applyMutation(mutation);
+      return { data, queued: false };
+    } catch (error) {
+      if (!isTransientError(error)) throw error;
+    }
+  }
+
+  await enqueueMutation(mutation);
+  if (online) flushOutbox(mutation.ownerEmail);
+  return { data: null, queued: true };
+};
+
+// Re-applies queued writes on top of rows fetched from Supabase, so rows
+// entered offline survive a reload before they have been synced.
+export const applyPendingMutations = (rows, entries, table) => {
+  let result = [...rows];
+  for (const entry of entries) {
+    if (entry.table !== table) continue;
+    if (entry.op === 'insert' && !result.some((r) => r.id === entry.rowId)) {
+      result = [entry.payload, ...result];
+    } else if (entry.op === 'update') {
+      result = result.map((r) => (r.id === entry.rowId ? { ...r, ...entry.payload } : r));
+    } else if (entry.op === 'delete') {
+      result = result.filter((r) => r.id !== entry.rowId);
+    }
+  }
+  return result;
+};
+
+// Sync state per row id ('pending' or 'failed'), used for the row badges
+export const getSyncStatusById = (entries) =>
+  entries.reduce((acc, entry) => {
+    if (acc[entry.rowId] !== 'failed') acc[entry.rowId] = entry.status;
+    return acc;
+  }, {});
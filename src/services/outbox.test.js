@@ -0,0 +1,79 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { applyMutation } from './supabaseDataClient';
+import { enqueueMutation, flushOutbox, getOutboxEntries, mutateOrQueue } from './outbox';
+
+vi.mock('./supabaseDataClient', () => ({ applyMutation: vi.fn() }));
+vi.mock('./backgroundSync', () => ({ requestOutboxSync: vi.fn() }));
+
+const networkError = () => new TypeError('Failed to fetch');
+
+let ownerCount = 0;
+let owner;
+const write = (rowId) => ({ ownerEmail: owner, table: 'accounts', op: 'insert', rowId, payload: { id: rowId } });
+
+beforeEach(() => {
+  // A new owner per test, so entries left by one test are not replayed in the next
+  ownerCount += 1;
+  owner = `user${ownerCount}@example.com`;
+  applyMutation.mockReset();
+});
+
+describe('flushOutbox', () => {
+  it('replays queued writes in order', async () => {
+    const applied = [];
+    applyMutation.mockImplementation(async ({ rowId }) => applied.push(rowId));
+    await enqueueMutation(write('a'));
+    await enqueueMutation(write('b'));
+    expect(await flushOutbox(owner)).toEqual({ flushed: 2, remaining: 0 });
+    expect(applied).toEqual(['a', 'b']);
+    expect(await getOutboxEntries(owner)).toEqual([]);
+  });
+
+  it('keeps a write that hit a network error and everything after it for the next flush', async () => {
+    applyMutation.mockRejectedValueOnce(networkError());
+    await enqueueMutation(write('a'));
+    await enqueueMutation(write('b'));
+    expect(await flushOutbox(owner)).toEqual({ flushed: 0, remaining: 2 });
+    expect(applyMutation).toHaveBeenCalledTimes(1);
+    const [first] = await getOutboxEntries(owner);
+    expect(first).toMatchObject({ rowId: 'a', status: 'pending', attempts: 1, lastError: 'Failed to fetch' });
+  });
+
+  it('marks a write rejected for any other reason as failed and carries on', async () => {
+    applyMutation
+      .mockRejectedValueOnce({ code: '23505', message: 'duplicate key value' })
+      .mockRejectedValueOnce(new TypeError("Cannot read properties of undefined (reading 'id')"))
+      .mockRejectedValueOnce(new Error('Unknown mutation type: upsert'))
+      .mockResolvedValueOnce(null);
+    for (const rowId of ['a', 'b', 'c', 'd']) await enqueueMutation(write(rowId));
+    expect(await flushOutbox(owner)).toEqual({ flushed: 1, remaining: 0 });
+    expect((await getOutboxEntries(owner)).map((e) => [e.rowId, e.status, e.lastError])).toEqual([
+      ['a', 'failed', 'duplicate key value'],
+      ['b', 'failed', "Cannot read properties of undefined (reading 'id')"],
+      ['c', 'failed', 'Unknown mutation type: upsert'],
+    ]);
+  });
+});
+
+describe('mutateOrQueue', () => {
+  it('sends the write straight away when nothing is queued', async () => {
+    applyMutation.mockResolvedValue({ id: 'a' });
+    expect(await mutateOrQueue(write('a'))).toEqual({ data: { id: 'a' }, queued: false });
+    expect(await getOutboxEntries(owner)).toEqual([]);
+  });
+
+  it('queues the write when the request fails on the network', async () => {
+    applyMutation.mockRejectedValue(networkError());
+    expect(await mutateOrQueue(write('a'))).toEqual({ data: null, queued: true });
+    // Let the flush it started finish, still failing
+    await flushOutbox(owner);
+    expect((await getOutboxEntries(owner)).map((e) => e.rowId)).toEqual(['a']);
+  });
+
+  it('throws a rejected write instead of queueing it', async () => {
+    applyMutation.mockRejectedValue(new Error('Unknown mutation type: upsert'));
+    await expect(mutateOrQueue(write('a'))).rejects.toThrow('Unknown mutation type');
+    expect(await getOutboxEntries(owner)).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+import { parseAmount, parseDate, DEFAULT_CATEGORY } from './csvImport';
+
+// QIF (Quicken Interchange Format) statement parser. Pure function: text in,
+// preview rows out, in the same shape as mapRows in csvImport.js:
+// { line, cells, errors, transaction }.
+//
+// A QIF file is a list of records, one field per line, each record ending
+// with "^". Only bank-like sections (!Type:Bank, CCard, Cash, Oth A, Oth L)
+// are read; investment and list sections are skipped. QIF has no
+// transaction ids, so rows carry no external_id.
+//
+// Quicken starts an account's export with an "Opening Balance" record. It
+// is shown in the preview but not imported: the account keeps its own
+// opening balance entry.
+
+const BANK_TYPES = ['bank', 'ccard', 'cash', 'oth a', 'oth l'];
+
+// QIF does not say how dates are written. The caller picks the format
+// (Quicken writes M/D'YY, with a space for a one-digit year: 12/31' 9;
+// most other banks D/M/YYYY).
+export const parseQIFDate = (value, dateFormat) =>
+  parseDate(String(value || '').replace(/'\s*(\d)$/, "'0$1").replace(/'/g, '/').replace(/\s+/g, ''), dateFormat);
+
+export const parseQIF = (text, { dateFormat = 'DD/MM/YYYY' } = {}) => {
+  const rows = [];
+  let inBankSection = false;
+  let record = {};
+  let recordLine = 1;
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const type = line.match(/^!Type:(.*)$/i);
+      inBankSection = !!type && BANK_TYPES.includes(type[1].trim().toLowerCase());
+      record = {};
+      recordLine = index + 2;
+      return;
+    }
+    if (!inBankSection) return;
+
+    if (line === '^') {
+      rows.push(toPreviewRow(record, recordLine, dateFormat));
+      record = {};
+      recordLine = index + 2;
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+    // Split lines (S, E, $) repeat per split; the record total (T) is what is imported
+    if (!(code in record)) record[code] = value;
+  });
+
+  return rows;
+};
+
+const isOpeningBalance = (record) => /^opening balance$/i.test(record.P || '');
+
+const toPreviewRow = (record, line, dateFormat) => {
+  const errors = [];
+  const date = parseQIFDate(record.D, dateFormat);
+  const amount = parseAmount(record.T ?? record.U);
+  // Bracketed categories ([Savings]) are transfers to another Quicken account
+  const category = record.L && !record.L.startsWith('[') ? record.L.split(':')[0] : DEFAULT_CATEGORY;
+  const description = record.P || record.M || (record.N ? `Cheque ${record.N}` : '');
+
+  if (!date) errors.push(`Invalid date "${record.D || ''}"`);
+  if (amount === null || Number.isNaN(amount)) errors.push(`Invalid amount "${record.T ?? record.U ?? ''}"`);
+  else if (!amount) errors.push('Amount is zero');
+  if (!description) errors.push('Missing description');
+  if (isOpeningBalance(record)) errors.push('Opening balance record, not a transaction');
+
+  return {
+    line,
+    cells: [record.D, description, record.T],
+    errors,
+    transaction: errors.length ? null : {
+      type: amount < 0 ? 'expense' : 'income',
+      amount,
+      description,
+      category,
+      date,
+    },
+  };
+};
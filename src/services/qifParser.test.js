@@ -0,0 +1,56 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseQIF, parseQIFDate } from './qifParser';
+
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), 'utf8');
+
+describe('parseQIFDate', () => {
+  it("reads Quicken's M/D'YY dates", () => {
+    expect(parseQIFDate("1/5'24", 'MM/DD/YYYY')).toBe('2024-01-05');
+    expect(parseQIFDate("12/31' 9", 'MM/DD/YYYY')).toBe('2009-12-31');
+  });
+
+  it('reads D/M/YYYY dates', () => {
+    expect(parseQIFDate('5/1/2024', 'DD/MM/YYYY')).toBe('2024-01-05');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseQIFDate("2/30'24", 'MM/DD/YYYY')).toBeNull();
+  });
+});
+
+describe('parseQIF', () => {
+  const rows = parseQIF(fixture('statement.qif'), { dateFormat: 'MM/DD/YYYY' });
+
+  it('reads every record of the bank section and skips investment sections', () => {
+    expect(rows).toHaveLength(4);
+    expect(rows.map((r) => r.line)).toEqual([2, 8, 18, 23]);
+  });
+
+  it('shows the opening balance record without importing it', () => {
+    expect(rows[0].transaction).toBeNull();
+    expect(rows[0].errors).toEqual(['Opening balance record, not a transaction']);
+  });
+
+  it('imports the total of a split transaction once', () => {
+    expect(rows[1].errors).toEqual([]);
+    expect(rows[1].transaction).toEqual({
+      type: 'expense',
+      amount: -1500,
+      description: 'Costco',
+      category: 'Groceries',
+      date: '2024-01-05',
+    });
+  });
+
+  it('uses the top-level category and describes cheques by number', () => {
+    expect(rows[2].transaction).toMatchObject({ type: 'income', amount: 2300.5, category: 'Salary' });
+    // Transfers to another Quicken account have no category here
+    expect(rows[3].transaction).toMatchObject({ description: 'Cheque 1043', category: 'Uncategorized', amount: -250 });
+  });
+
+  it('reads files with Windows line endings and a byte order mark', () => {
+    const text = `﻿${fixture('statement.qif').replace(/\n/g, '\r\n')}`;
+    expect(parseQIF(text, { dateFormat: 'MM/DD/YYYY' })).toEqual(rows);
+  });
+});
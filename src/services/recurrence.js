@@ -0,0 +1,365 @@
+// Recurrence rules for recurring payments, written as a subset of the iCalendar
+// RRULE syntax (RFC 5545), e.g.
+//   FREQ=WEEKLY;INTERVAL=2                        every other week
+//   FREQ=MONTHLY;BYDAY=2FR                        2nd Friday of the month
+//   FREQ=MONTHLY;BYMONTHDAY=-1                    last day of the month
+//   FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 last business day
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY,
+// BYMONTHDAY, BYMONTH, BYSETPOS, and COUNT or UNTIL (a date) to end the
+// series. Occurrences are counted from a start date
+// (the DTSTART), which also supplies the weekday, day of month and month when
+// the rule does not name one. Unlike RFC 5545, a day of the month the month
+// does not have is clamped to its last day (the 31st is Feb 28 in February)
+// rather than skipped. Business days are Monday to Friday; holidays are not
+// known. All dates are YYYY-MM-DD strings, handled in UTC.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+export const BUSINESS_DAYS = [1, 2, 3, 4, 5];
+
+// A period (day, week, month, year) that produces no occurrence this many
+// times in a row means the rule never matches (e.g. BYDAY=5FR;BYMONTH=2)
+const MAX_EMPTY_PERIODS = 1000;
+
+// Date helpers
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const toISO = (date) => date.toISOString().slice(0, 10);
+const utc = (year, month, day) => toISO(new Date(Date.UTC(year, month, day)));
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const addDays = (iso, days) => {
+  const date = toDate(iso);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISO(date);
+};
+const weekdayOf = (iso) => toDate(iso).getUTCDay();
+const dayDiff = (from, to) => Math.round((toDate(to) - toDate(from)) / 86400000);
+// Weeks start on Monday (WKST=MO)
+const mondayOf = (iso) => addDays(iso, -((weekdayOf(iso) + 6) % 7));
+
+const ordinal = (n) => {
+  if (n === -1) return 'last';
+  if (n < 0) return `${ordinal(-n)} to last`;
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+const parseInteger = (text, part) => {
+  if (!/^[+-]?\d+$/.test(text)) throw new Error(`Invalid recurrence rule: ${part} must be a whole number`);
+  return Number(text);
+};
+
+// 'FREQ=MONTHLY;BYDAY=2FR' (an 'RRULE:' prefix is allowed) ->
+// { freq: 'MONTHLY', interval: 1, byDay: [{ weekday: 5, pos: 2 }], byMonthDay: [], byMonth: [], bySetPos: [], count: null, until: null }
+// Throws an Error describing the first problem found.
+export const parseRule = (text) => {
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], count: null, until: null };
+  const body = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!body) throw new Error('Invalid recurrence rule: it is empty');
+  for (const part of body.split(';').filter(Boolean)) {
+    const [name, value = ''] = part.split('=').map((s) => s.trim().toUpperCase());
+    const list = value.split(',').filter(Boolean);
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Invalid recurrence rule: unsupported FREQ ${value}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(value, 'INTERVAL');
+        if (rule.interval < 1) throw new Error('Invalid recurrence rule: INTERVAL must be 1 or more');
+        break;
+      case 'BYDAY':
+        rule.byDay = list.map((item) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) throw new Error(`Invalid recurrence rule: BYDAY ${item}`);
+          const pos = match[1] ? Number(match[1]) : null;
+          if (pos === 0 || Math.abs(pos) > 5) throw new Error(`Invalid recurrence rule: BYDAY ${item}`);
+          return { weekday: WEEKDAY_CODES.indexOf(match[2]), pos };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = list.map((item) => {
+          const day = parseInteger(item, 'BYMONTHDAY');
+          if (day === 0 || Math.abs(day) > 31) throw new Error(`Invalid recurrence rule: BYMONTHDAY ${item}`);
+          return day;
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = list.map((item) => {
+          const month = parseInteger(item, 'BYMONTH');
+          if (month < 1 || month > 12) throw new Error(`Invalid recurrence rule: BYMONTH ${item}`);
+          return month;
+        });
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = list.map((item) => {
+          const pos = parseInteger(item, 'BYSETPOS');
+          if (pos === 0) throw new Error('Invalid recurrence rule: BYSETPOS cannot be 0');
+          return pos;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(value, 'COUNT');
+        if (rule.count < 1) throw new Error('Invalid recurrence rule: COUNT must be 1 or more');
+        break;
+      case 'UNTIL': {
+        // 20271231 or 20271231T000000Z; only the date is used
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+        if (!match) throw new Error(`Invalid recurrence rule: UNTIL ${value}`);
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+      default:
+        throw new Error(`Invalid recurrence rule: unsupported part ${name}`);
+    }
+  }
+  if (!rule.freq) throw new Error('Invalid recurrence rule: FREQ is missing');
+  if (rule.count && rule.until) throw new Error('Invalid recurrence rule: COUNT and UNTIL cannot be used together');
+  if (rule.byDay.some((d) => d.pos !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Invalid recurrence rule: numbered BYDAY needs FREQ=MONTHLY or YEARLY');
+  }
+  return rule;
+};
+
+// The reverse of parseRule
+export const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.map((d) => `${d.pos ?? ''}${WEEKDAY_CODES[d.weekday]}`).join(',')}`);
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// The rules behind the original frequency values
+const FREQUENCY_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY',
+  quarterly: 'FREQ=MONTHLY;INTERVAL=3',
+  yearly: 'FREQ=YEARLY',
+};
+
+export const ruleFromFrequency = (frequency) => {
+  if (!FREQUENCY_RULES[frequency]) throw new Error(`Unknown frequency: ${frequency}`);
+  return parseRule(FREQUENCY_RULES[frequency]);
+};
+
+// The frequency column value closest to a rule, kept for lists and filters
+export const frequencyOf = (rule) => {
+  if (rule.freq === 'MONTHLY' && rule.interval === 3) return 'quarterly';
+  return rule.freq.toLowerCase();
+};
+
+// Candidate days of one month (sorted), before BYSETPOS and the start date
+const monthCandidates = (rule, year, month, start) => {
+  const lastDay = daysInMonth(year, month);
+  const days = new Set();
+  for (const n of rule.byMonthDay) {
+    days.add(n > 0 ? Math.min(n, lastDay) : Math.max(lastDay + n + 1, 1));
+  }
+  // BYMONTHDAY and BYDAY together: only the month days on those weekdays
+  if (rule.byMonthDay.length && rule.byDay.length) {
+    const weekdays = new Set(rule.byDay.map((d) => d.weekday));
+    for (const day of days) {
+      if (!weekdays.has(new Date(Date.UTC(year, month, day)).getUTCDay())) days.delete(day);
+    }
+  } else {
+    for (const { weekday, pos } of rule.byDay) {
+      const first = ((weekday - new Date(Date.UTC(year, month, 1)).getUTCDay() + 7) % 7) + 1;
+      const matches = [];
+      for (let day = first; day <= lastDay; day += 7) matches.push(day);
+      if (pos === null) matches.forEach((day) => days.add(day));
+      else {
+        const day = pos > 0 ? matches[pos - 1] : matches[matches.length + pos];
+        if (day) days.add(day);
+      }
+    }
+  }
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    days.add(Math.min(Number(start.slice(8, 10)), lastDay));
+  }
+  return [...days].sort((a, b) => a - b).map((day) => utc(year, month, day));
+};
+
+// Occurrences of period k (0 = the period holding the start date), sorted
+const periodOccurrences = (rule, start, k) => {
+  const step = k * rule.interval;
+  let dates;
+  switch (rule.freq) {
+    case 'DAILY': {
+      const date = addDays(start, step);
+      const weekdays = rule.byDay.map((d) => d.weekday);
+      dates = !weekdays.length || weekdays.includes(weekdayOf(date)) ? [date] : [];
+      break;
+    }
+    case 'WEEKLY': {
+      const monday = addDays(mondayOf(start), step * 7);
+      const weekdays = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [weekdayOf(start)];
+      dates = weekdays.map((w) => addDays(monday, (w + 6) % 7)).sort();
+      break;
+    }
+    case 'MONTHLY': {
+      const first = new Date(Date.UTC(Number(start.slice(0, 4)), Number(start.slice(5, 7)) - 1 + step, 1));
+      const month = first.getUTCMonth();
+      dates = !rule.byMonth.length || rule.byMonth.includes(month + 1)
+        ? monthCandidates(rule, first.getUTCFullYear(), month, start)
+        : [];
+      break;
+    }
+    default: { // YEARLY
+      const year = Number(start.slice(0, 4)) + step;
+      const months = rule.byMonth.length ? rule.byMonth : [Number(start.slice(5, 7))];
+      dates = months.flatMap((m) => monthCandidates(rule, year, m - 1, start)).sort();
+    }
+  }
+  if (rule.bySetPos.length) {
+    dates = rule.bySetPos
+      .map((pos) => (pos > 0 ? dates[pos - 1] : dates[dates.length + pos]))
+      .filter(Boolean)
+      .sort();
+  }
+  return [...new Set(dates)];
+};
+
+// The period holding `date`, counted from the start date's
+const periodOf = (rule, start, date) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return Math.floor(dayDiff(start, date) / rule.interval);
+    case 'WEEKLY':
+      return Math.floor(dayDiff(mondayOf(start), mondayOf(date)) / 7 / rule.interval);
+    case 'MONTHLY': {
+      const months = (Number(date.slice(0, 4)) - Number(start.slice(0, 4))) * 12 + Number(date.slice(5, 7)) - Number(start.slice(5, 7));
+      return Math.floor(months / rule.interval);
+    }
+    default:
+      return Math.floor((Number(date.slice(0, 4)) - Number(start.slice(0, 4))) / rule.interval);
+  }
+};
+
+// Up to `count` occurrences of `rule` counted from `start`, on or after
+// `from` (default: the start date), oldest first. The rule's own COUNT and
+// UNTIL end the series early.
+export const occurrences = (rule, start, { from = start, count = 12 } = {}) => {
+  const dates = [];
+  const earliest = from > start ? from : start;
+  // With COUNT every occurrence from the start has to be counted
+  let k = rule.count ? 0 : Math.max(periodOf(rule, start, earliest), 0);
+  let seen = 0;
+  let empty = 0;
+  while (dates.length < count && empty < MAX_EMPTY_PERIODS) {
+    let found = periodOccurrences(rule, start, k).filter((d) => d >= start);
+    // Periods only move forward, so one starting after UNTIL ends the series
+    if (rule.until && found.length && found[0] > rule.until) break;
+    if (rule.until) found = found.filter((d) => d <= rule.until);
+    if (rule.count) {
+      found = found.slice(0, rule.count - seen);
+      seen += found.length;
+    }
+    empty = found.length ? 0 : empty + 1;
+    dates.push(...found.filter((d) => d >= earliest).slice(0, count - dates.length));
+    if (rule.count && seen >= rule.count) break;
+    k += 1;
+  }
+  return dates;
+};
+
+// The first occurrence after `date`, or null if the rule has none
+export const nextOccurrence = (rule, start, date) => occurrences(rule, start, { from: addDays(date, 1), count: 1 })[0] || null;
+
+// 'Every 2 weeks on Friday', 'Monthly on the 2nd Friday', ...
+export const describeRule = (rule, start) => {
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  const every = rule.interval > 1
+    ? `Every ${rule.interval} ${unit}s`
+    : { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' }[rule.freq];
+  const weekdays = rule.byDay.map((d) => d.weekday);
+  const isBusinessDays = weekdays.length === 5 && BUSINESS_DAYS.every((w) => weekdays.includes(w));
+  let on = '';
+  if (isBusinessDays && rule.bySetPos.length === 1) {
+    on = ` on the ${ordinal(rule.bySetPos[0])} business day`;
+  } else if (isBusinessDays && rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+    on = ' on weekdays';
+  } else if (rule.byDay.length && rule.byMonthDay.length) {
+    on = ` on ${rule.byDay.map((d) => WEEKDAY_NAMES[d.weekday]).join(', ')} the ${rule.byMonthDay.map(ordinal).join(', ')}`;
+  } else if (rule.byDay.length) {
+    on = ` on ${rule.byDay.map((d) => `${d.pos === null ? '' : `the ${ordinal(d.pos)} `}${WEEKDAY_NAMES[d.weekday]}`).join(', ')}`;
+  } else if (rule.byMonthDay.length) {
+    on = ` on the ${rule.byMonthDay.map((n) => (n === -1 ? 'last day' : ordinal(n))).join(', ')}`;
+  } else if (start && rule.freq === 'WEEKLY') {
+    on = ` on ${WEEKDAY_NAMES[weekdayOf(start)]}`;
+  } else if (start && rule.freq === 'MONTHLY') {
+    on = ` on the ${ordinal(Number(start.slice(8, 10)))}`;
+  }
+  if (rule.byMonth.length || (start && rule.freq === 'YEARLY')) {
+    const months = rule.byMonth.length ? rule.byMonth : [Number(start.slice(5, 7))];
+    on += ` in ${months.map((m) => MONTH_NAMES[m - 1]).join(', ')}`;
+  }
+  if (rule.count) on += rule.count === 1 ? ', once' : `, ${rule.count} times`;
+  if (rule.until) on += `, until ${toDate(rule.until).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+  return `${every}${on}`;
+};
+
+// Recurring payments: the rule is recurrence_rule, or the one implied by
+// frequency for payments saved before rules existed. Occurrences count from
+// start_date (falling back to next_date).
+export const paymentRule = (payment) =>
+  payment.recurrence_rule ? parseRule(payment.recurrence_rule) : ruleFromFrequency(payment.frequency);
+
+export const paymentStart = (payment) => payment.start_date || payment.next_date;
+
+// The due date following `date` for a payment
+export const nextDueDate = (payment, date) => nextOccurrence(paymentRule(payment), paymentStart(payment), date);
+
+// Choices of the add form for where in the month a monthly or yearly
+// payment falls; the weekday and day number come from the start date
+export const MONTHLY_POSITIONS = ['day', 'weekday', 'lastWeekday', 'lastDay', 'lastBusinessDay'];
+
+// { freq, interval, monthlyOn, ends, until, count } from the add form ->
+// rule. ends is 'never', 'on' (the date until) or 'after' (count payments).
+export const buildRule = ({ freq, interval = 1, monthlyOn = 'day', ends = 'never', until = '', count = '' }, start) => {
+  const rule = {
+    freq,
+    interval: Math.max(Number(interval) || 1, 1),
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    count: ends === 'after' ? Math.max(Number(count) || 1, 1) : null,
+    until: ends === 'on' && until ? until : null,
+  };
+  if (freq !== 'MONTHLY' && freq !== 'YEARLY') return rule;
+  const weekday = weekdayOf(start);
+  const day = Number(start.slice(8, 10));
+  switch (monthlyOn) {
+    case 'weekday':
+      rule.byDay = [{ weekday, pos: Math.ceil(day / 7) }];
+      break;
+    case 'lastWeekday':
+      rule.byDay = [{ weekday, pos: -1 }];
+      break;
+    case 'lastDay':
+      rule.byMonthDay = [-1];
+      break;
+    case 'lastBusinessDay':
+      rule.byDay = BUSINESS_DAYS.map((w) => ({ weekday: w, pos: null }));
+      rule.bySetPos = [-1];
+      break;
+    default:
+  }
+  return rule;
+};
+
+// Due dates of a payment from its next_date that fall between from and to
+// (inclusive). None while it is paused or after it has ended.
+export const paymentOccurrencesBetween = (payment, from, to) => {
+  if (payment.paused || !payment.next_date) return [];
+  const first = payment.next_date > from ? payment.next_date : from;
+  return occurrences(paymentRule(payment), paymentStart(payment), { from: first, count: 366 }).filter((d) => d <= to);
+};
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { buildRule, describeRule, formatRule, nextDueDate, nextOccurrence, occurrences, parseRule } from './recurrence';
+
+const dates = (text, start, options) => occurrences(parseRule(text), start, options);
+
+describe('parseRule / formatRule', () => {
+  it('round-trips a rule', () => {
+    const text = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=6';
+    expect(formatRule(parseRule(text))).toBe(text);
+    expect(parseRule('RRULE:FREQ=MONTHLY;BYDAY=2FR').byDay).toEqual([{ weekday: 5, pos: 2 }]);
+  });
+
+  it('rejects rules it cannot follow', () => {
+    expect(() => parseRule('FREQ=HOURLY')).toThrow();
+    expect(() => parseRule('FREQ=MONTHLY;COUNT=3;UNTIL=20260101')).toThrow();
+  });
+});
+
+describe('occurrences', () => {
+  it('clamps the day of the month to short months and returns to it after', () => {
+    expect(dates('FREQ=MONTHLY', '2026-01-31', { count: 4 })).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  it('uses Feb 29 in leap years only', () => {
+    expect(dates('FREQ=MONTHLY', '2024-01-31', { count: 3 })).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+    expect(dates('FREQ=YEARLY', '2024-02-29', { count: 5 })).toEqual(['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+    expect(dates('FREQ=DAILY', '2024-02-28', { count: 3 })).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+  });
+
+  it('finds the Nth weekday of the month', () => {
+    expect(dates('FREQ=MONTHLY;BYDAY=2FR', '2026-01-01', { count: 3 })).toEqual(['2026-01-09', '2026-02-13', '2026-03-13']);
+    expect(dates('FREQ=MONTHLY;BYDAY=-1MO', '2026-01-01', { count: 3 })).toEqual(['2026-01-26', '2026-02-23', '2026-03-30']);
+  });
+
+  it('finds the last business day of the month', () => {
+    // May 2026 ends on a Sunday, Jan 2026 on a Saturday
+    expect(dates('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '2026-01-01', { count: 5 }))
+      .toEqual(['2026-01-30', '2026-02-27', '2026-03-31', '2026-04-30', '2026-05-29']);
+  });
+
+  it('finds the last day of the month', () => {
+    expect(dates('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-15', { count: 3 })).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+  });
+
+  it('honours INTERVAL greater than 1', () => {
+    expect(dates('FREQ=WEEKLY;INTERVAL=2', '2026-01-02', { count: 3 })).toEqual(['2026-01-02', '2026-01-16', '2026-01-30']);
+    expect(dates('FREQ=MONTHLY;INTERVAL=3', '2026-01-31', { count: 3 })).toEqual(['2026-01-31', '2026-04-30', '2026-07-31']);
+    expect(dates('FREQ=DAILY;INTERVAL=10', '2026-02-25', { count: 2 })).toEqual(['2026-02-25', '2026-03-07']);
+  });
+
+  it('stops after COUNT occurrences, counted from the start', () => {
+    expect(dates('FREQ=MONTHLY;COUNT=3', '2026-01-15', { count: 12 })).toEqual(['2026-01-15', '2026-02-15', '2026-03-15']);
+    // Starting later in the series does not reset the count
+    expect(dates('FREQ=MONTHLY;COUNT=3', '2026-01-15', { from: '2026-02-01', count: 12 })).toEqual(['2026-02-15', '2026-03-15']);
+  });
+
+  it('stops at UNTIL, inclusive', () => {
+    expect(dates('FREQ=WEEKLY;UNTIL=20260122', '2026-01-01', { count: 12 })).toEqual(['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22']);
+    expect(nextOccurrence(parseRule('FREQ=WEEKLY;UNTIL=20260122'), '2026-01-01', '2026-01-22')).toBeNull();
+  });
+
+  it('clamps BYMONTHDAY to the end of a short month', () => {
+    expect(dates('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', '2026-01-01', { count: 3 })).toEqual(['2026-02-28', '2027-02-28', '2028-02-29']);
+  });
+
+  it('finds rare dates, such as a fifth Friday in February', () => {
+    expect(dates('FREQ=YEARLY;BYMONTH=2;BYDAY=5FR', '2026-01-01', { count: 1 })).toEqual(['2036-02-29']);
+  });
+});
+
+describe('payments', () => {
+  it('counts from start_date, so the 31st survives a short month', () => {
+    const payment = { recurrence_rule: 'FREQ=MONTHLY', start_date: '2026-01-31', next_date: '2026-02-28' };
+    expect(nextDueDate(payment, '2026-02-28')).toBe('2026-03-31');
+  });
+
+  it('falls back to frequency for payments saved before rules', () => {
+    expect(nextDueDate({ frequency: 'weekly', next_date: '2026-01-05' }, '2026-01-05')).toBe('2026-01-12');
+  });
+});
+
+describe('buildRule / describeRule', () => {
+  it('builds the rules behind the add form choices', () => {
+    expect(formatRule(buildRule({ freq: 'MONTHLY', monthlyOn: 'lastBusinessDay' }, '2026-01-10'))).toBe('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1');
+    expect(formatRule(buildRule({ freq: 'MONTHLY', monthlyOn: 'weekday' }, '2026-01-09'))).toBe('FREQ=MONTHLY;BYDAY=2FR');
+    expect(formatRule(buildRule({ freq: 'WEEKLY', interval: 2, ends: 'after', count: 4 }, '2026-01-09'))).toMatch(/^FREQ=WEEKLY;INTERVAL=2.*COUNT=4$/);
+  });
+
+  it('describes a rule in words', () => {
+    expect(describeRule(parseRule('FREQ=MONTHLY;BYDAY=2FR'), '2026-01-09')).toMatch(/2nd Friday/);
+  });
+});
@@ -0,0 +1,218 @@
+import { mutateOrQueue } from './outbox';
+import { nextDueDate } from './recurrence';
+import { nameBasedId } from './ids';
+
+// Posting of entries that come due: recurring payments and scheduled one-off
+// transactions. Works from the app and from the service worker. Every posted
+// entry has an id fixed in advance.
+
+const currentDateISO = () => new Date().toISOString().slice(0, 10);
+
+// Upper bound on the occurrences one catch-up posts per payment, so a
+// payment with a bad date cannot flood the ledger
+export const MAX_CATCH_UP_OCCURRENCES = 500;
+
+// Adds a transaction to the ledger through apply_transaction. Resolves to the
+// stored row (or the row as sent, when queued). Throws if Supabase rejects it.
+export const postTransaction = async (ownerEmail, transaction) => {
+  const { data } = await mutateOrQueue({
+    ownerEmail,
+    table: 'transactions',
+    op: 'insert',
+    rowId: transaction.id,
+    payload: transaction,
+  });
+  return data || transaction;
+};
+
+// The ledger entry a scheduled transaction becomes. It keeps the scheduled
+// row's id.
+export const toPostedTransaction = (scheduled) => ({
+  id: scheduled.id,
+  owner_email: scheduled.owner_email,
+  account_id: scheduled.account_id,
+  type: scheduled.type,
+  amount: Number(scheduled.amount),
+  description: scheduled.description,
+  category: scheduled.category,
+  date: scheduled.date,
+  time_of_day: scheduled.time_of_day || null,
+});
+
+// Posts one scheduled transaction and removes it from the schedule
+export const postScheduledTransaction = async (ownerEmail, scheduled) => {
+  const transaction = await postTransaction(ownerEmail, toPostedTransaction(scheduled));
+  await mutateOrQueue({
+    ownerEmail,
+    table: 'scheduled_transactions',
+    op: 'delete',
+    rowId: scheduled.id,
+  });
+  return transaction;
+};
+
+export const isDue = (scheduled, today = currentDateISO()) => scheduled.date <= today;
+
+// Posts every scheduled transaction dated today or earlier, oldest first.
+// One that fails stays scheduled and is retried next time.
+// Resolves to { posted: [transaction], failed: [scheduled] }.
+export const postDueScheduledTransactions = async (ownerEmail, scheduledTransactions, today = currentDateISO()) => {
+  const posted = [];
+  const failed = [];
+  const due = scheduledTransactions
+    .filter((s) => isDue(s, today))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  for (const scheduled of due) {
+    try {
+      posted.push(await postScheduledTransaction(ownerEmail, scheduled));
+    } catch (error) {
+      console.error('Error posting scheduled transaction:', error);
+      failed.push(scheduled);
+    }
+  }
+  return { posted, failed };
+};
+
+// Due dates of a recurring payment from its next_date up to and including
+// today, oldest first. A paused or ended (no next_date) payment has none.
+export const dueOccurrences = (payment, today = currentDateISO()) => {
+  if (payment.paused) return [];
+  const dates = [];
+  let date = payment.next_date;
+  while (date && date <= today && dates.length < MAX_CATCH_UP_OCCURRENCES) {
+    dates.push(date);
+    date = nextDueDate(payment, date);
+  }
+  return dates;
+};
+
+// The transaction id of one occurrence, derived from the payment id and the
+// due date
+export const occurrenceId = (paymentId, dueDate) => nameBasedId(`recurring:${paymentId}:${dueDate}`);
+
+// The ledger entry for the occurrence of `payment` due on `dueDate`: money
+// in for recurring income, out for everything else, booked on postedOn (the
+// due date, or the day it was posted by hand).
+export const toRecurringTransaction = async (ownerEmail, payment, dueDate, postedOn = dueDate) => ({
+  id: await occurrenceId(payment.id, dueDate),
+  owner_email: ownerEmail,
+  account_id: payment.account_id || null,
+  type: payment.type === 'income' ? 'income' : 'expense',
+  amount: payment.type === 'income' ? Math.abs(Number(payment.amount)) : -Math.abs(Number(payment.amount)),
+  description: `${payment.description} (Recurring)`,
+  category: payment.category,
+  date: postedOn,
+});
+
+// Moves next_date of a payment past an occurrence that has been posted.
+// A payment without start_date gets its current next_date as one, so later
+// occurrences keep counting from the same day (the 31st stays the 31st
+// after a short month).
+export const setNextDate = async (ownerEmail, payment, nextDate) => {
+  const changes = { next_date: nextDate };
+  if (!payment.start_date) changes.start_date = payment.next_date;
+  const { data } = await mutateOrQueue({
+    ownerEmail,
+    table: 'recurring_payments',
+    op: 'update',
+    rowId: payment.id,
+    payload: changes,
+  });
+  return data || { ...payment, ...changes };
+};
+
+// Records what happened to an occurrence: 'posted', 'skipped' or 'failed'.
+// Posted and skipped runs have the occurrence's id; every failed attempt gets
+// its own. Resolves to the run.
+export const recordRun = async (ownerEmail, payment, dueDate, status, { transactionId = null, error = null } = {}) => {
+  const run = {
+    id: status === 'failed' ? crypto.randomUUID() : await occurrenceId(payment.id, dueDate),
+    owner_email: ownerEmail,
+    payment_id: payment.id,
+    due_date: dueDate,
+    status,
+    transaction_id: transactionId,
+    error,
+    created_at: new Date().toISOString(),
+  };
+  const { data } = await mutateOrQueue({
+    ownerEmail,
+    table: 'recurring_payment_runs',
+    op: 'insert',
+    rowId: run.id,
+    payload: run,
+  });
+  return data || run;
+};
+
+// Skips the occurrence due on next_date. Resolves to { payment, run }.
+export const skipNextOccurrence = async (ownerEmail, payment) => {
+  const run = await recordRun(ownerEmail, payment, payment.next_date, 'skipped');
+  return { payment: await setNextDate(ownerEmail, payment, nextDueDate(payment, payment.next_date)), run };
+};
+
+// Pauses or resumes a payment. Occurrences that fell due while it was paused
+// (before today) are recorded as skipped on resume rather than posted.
+// Resolves to { payment, runs }.
+export const setPaused = async (ownerEmail, payment, paused, today = currentDateISO()) => {
+  const runs = [];
+  let current = payment;
+  if (!paused) {
+    const missed = dueOccurrences({ ...payment, paused: false }, today).filter((date) => date < today);
+    for (const dueDate of missed) {
+      runs.push(await recordRun(ownerEmail, payment, dueDate, 'skipped'));
+      current = await setNextDate(ownerEmail, current, nextDueDate(payment, dueDate));
+    }
+  }
+  const { data } = await mutateOrQueue({
+    ownerEmail,
+    table: 'recurring_payments',
+    op: 'update',
+    rowId: payment.id,
+    payload: { paused },
+  });
+  return { payment: data || { ...current, paused }, runs };
+};
+
+// Runs fn while holding a lock shared by every tab and the service worker of
+// this origin, so two of them do not catch up at the same time. Without the
+// Web Locks API it just runs; occurrence ids still prevent double posting.
+const withCatchUpLock = (fn) =>
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request('mybank-recurring-catch-up', fn)
+    : fn();
+
+// Posts every occurrence of the recurring payments due up to today, each
+// booked on its own due date, and advances next_date after each one. An
+// occurrence that fails stops that payment, which keeps next_date on it so
+// it is retried next time. Paused and ended payments are left alone. Every
+// occurrence is recorded as a run. Resolves to
+// { posted: [transaction], payments: [updated payment], runs: [run], failed: [payment] }.
+export const postDueRecurringPayments = (ownerEmail, payments, today = currentDateISO()) =>
+  withCatchUpLock(async () => {
+    const posted = [];
+    const updated = [];
+    const runs = [];
+    const failed = [];
+    for (const payment of payments) {
+      const dates = dueOccurrences(payment, today);
+      if (!dates.length) continue;
+      let current = payment;
+      try {
+        for (const dueDate of dates) {
+          const transaction = await postTransaction(ownerEmail, await toRecurringTransaction(ownerEmail, payment, dueDate));
+          posted.push(transaction);
+          runs.push(await recordRun(ownerEmail, payment, dueDate, 'posted', { transactionId: transaction.id }));
+          current = await setNextDate(ownerEmail, current, nextDueDate(payment, dueDate));
+        }
+      } catch (error) {
+        console.error('Error posting recurring payment:', error);
+        failed.push(payment);
+        await recordRun(ownerEmail, payment, current.next_date, 'failed', { error: error.message })
+          .then((run) => runs.push(run))
+          .catch(console.error);
+      }
+      if (current !== payment) updated.push(current);
+    }
+    return { posted, payments: updated, runs, failed };
+  });
@@ -0,0 +1,99 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { mutateOrQueue } from './outbox';
+import { dueOccurrences, occurrenceId, postDueRecurringPayments, setPaused, MAX_CATCH_UP_OCCURRENCES } from './scheduler';
+import { createMemoryTables, rentPayment, OWNER } from './__fixtures__/memoryTables';
+
+vi.mock('./outbox', () => ({ mutateOrQueue: vi.fn() }));
+
+let tables;
+const rows = (table) => tables.rows(table);
+
+beforeEach(() => {
+  tables = createMemoryTables();
+  mutateOrQueue.mockImplementation(tables.mutate);
+});
+
+const rent = (changes = {}) => {
+  const payment = rentPayment({ start_date: '2026-01-31', next_date: '2026-01-31', ...changes });
+  tables.db.recurring_payments = [payment];
+  return payment;
+};
+
+describe('dueOccurrences', () => {
+  it('lists every missed due date up to today', () => {
+    expect(dueOccurrences(rent(), '2026-04-30')).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  it('has none for paused or ended payments', () => {
+    expect(dueOccurrences(rent({ paused: true }), '2026-04-30')).toEqual([]);
+    expect(dueOccurrences(rent({ next_date: null }), '2026-04-30')).toEqual([]);
+  });
+
+  it('stops at the catch-up limit', () => {
+    const daily = rent({ recurrence_rule: 'FREQ=DAILY', start_date: '2020-01-01', next_date: '2020-01-01' });
+    expect(dueOccurrences(daily, '2026-01-01')).toHaveLength(MAX_CATCH_UP_OCCURRENCES);
+  });
+});
+
+describe('postDueRecurringPayments', () => {
+  it('posts each missed occurrence on its due date and moves next_date on', async () => {
+    const payment = rent();
+    const { posted, payments, runs, failed } = await postDueRecurringPayments(OWNER, [payment], '2026-03-31');
+
+    expect(posted.map((t) => [t.date, t.amount])).toEqual([['2026-01-31', -15000], ['2026-02-28', -15000], ['2026-03-31', -15000]]);
+    expect(runs.map((r) => [r.due_date, r.status])).toEqual([['2026-01-31', 'posted'], ['2026-02-28', 'posted'], ['2026-03-31', 'posted']]);
+    expect(payments[0].next_date).toBe('2026-04-30');
+    expect(failed).toEqual([]);
+    expect(rows('transactions')[0].id).toBe(await occurrenceId('pay-1', '2026-01-31'));
+  });
+
+  it('does not post or record an occurrence twice when two tabs catch up at once', async () => {
+    const payment = rent();
+    // Both start from the same stale copy of the payment
+    await Promise.all([
+      postDueRecurringPayments(OWNER, [payment], '2026-03-31'),
+      postDueRecurringPayments(OWNER, [payment], '2026-03-31'),
+    ]);
+    await postDueRecurringPayments(OWNER, [payment], '2026-03-31');
+
+    expect(rows('transactions')).toHaveLength(3);
+    expect(rows('recurring_payment_runs')).toHaveLength(3);
+    expect(new Set(rows('recurring_payment_runs').map((r) => r.due_date)).size).toBe(3);
+    expect(rows('recurring_payments')[0].next_date).toBe('2026-04-30');
+  });
+
+  it('posts nothing more on a second run with the updated payment', async () => {
+    const { payments } = await postDueRecurringPayments(OWNER, [rent()], '2026-03-31');
+    const second = await postDueRecurringPayments(OWNER, payments, '2026-03-31');
+    expect(second.posted).toEqual([]);
+    expect(second.runs).toEqual([]);
+  });
+
+  it('stops at a failed occurrence and resumes from it next time', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const payment = rent();
+    const apply = mutateOrQueue.getMockImplementation();
+    mutateOrQueue.mockImplementation(async (mutation) => {
+      if (mutation.table === 'transactions' && mutation.payload.date === '2026-02-28') throw new Error('Account not found');
+      return apply(mutation);
+    });
+    const first = await postDueRecurringPayments(OWNER, [payment], '2026-03-31');
+    expect(first.failed).toEqual([payment]);
+    expect(first.runs.map((r) => [r.due_date, r.status])).toEqual([['2026-01-31', 'posted'], ['2026-02-28', 'failed']]);
+
+    mutateOrQueue.mockImplementation(apply);
+    const second = await postDueRecurringPayments(OWNER, first.payments, '2026-03-31');
+    expect(second.posted.map((t) => t.date)).toEqual(['2026-02-28', '2026-03-31']);
+    expect(rows('transactions')).toHaveLength(3);
+    console.error.mockRestore();
+  });
+
+  it('records occurrences missed while paused as skipped, not posted', async () => {
+    const payment = rent({ paused: true });
+    const { payment: resumed, runs } = await setPaused(OWNER, payment, false, '2026-03-31');
+    expect(runs.map((r) => [r.due_date, r.status])).toEqual([['2026-01-31', 'skipped'], ['2026-02-28', 'skipped']]);
+
+    const { posted } = await postDueRecurringPayments(OWNER, [resumed], '2026-03-31');
+    expect(posted.map((t) => t.date)).toEqual(['2026-03-31']);
+  });
+});
@@ -0,0 +1,60 @@
+import { roundMoney, getLedgerBalance, withRunningBalance } from './ledger';
+
+// Account statements for a date range, computed from the ledger: the balance
+// carried in from before the period, every entry of the period with its
+// running balance, and subtotals per month.
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// '2026-01' -> 'January 2026'
+export const formatMonth = (month) => `${MONTH_NAMES[Number(month.slice(5, 7)) - 1]} ${month.slice(0, 4)}`;
+
+// Only the last four digits, as banks print them: XXXXXX1234
+export const maskAccountNumber = (accountNumber) => {
+  const digits = String(accountNumber || '').replace(/\s+/g, '');
+  if (!digits) return 'N/A';
+  return digits.length <= 4 ? digits : `${'X'.repeat(Math.min(digits.length - 4, 8))}${digits.slice(-4)}`;
+};
+
+// statement-main-account-2026-01-01-to-2026-01-31.pdf
+export const statementFileName = (statement, account, extension) =>
+  `statement-${account?.name ? `${account.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-` : ''}${statement.start}-to-${statement.end}.${extension}`;
+
+// dateRange: { start, end } (YYYY-MM-DD, both inclusive). Returns
+// {
+//   start, end, openingBalance, closingBalance, totalCredits, totalDebits,
+//   rows: entries of the period, oldest first, with running_balance,
+//   months: [{ month: 'YYYY-MM', credits, debits, closingBalance }]
+// }
+// Debits are negative amounts and are reported as positive totals.
+export const buildStatement = (transactions, { start, end }) => {
+  const before = transactions.filter((t) => t.date < start);
+  const during = transactions.filter((t) => t.date >= start && t.date <= end);
+  const openingBalance = getLedgerBalance(before);
+  const rows = withRunningBalance(during, openingBalance);
+
+  const months = [];
+  for (const row of rows) {
+    const month = row.date.slice(0, 7);
+    let subtotal = months[months.length - 1];
+    if (!subtotal || subtotal.month !== month) {
+      subtotal = { month, credits: 0, debits: 0, closingBalance: openingBalance };
+      months.push(subtotal);
+    }
+    const amount = Number(row.amount) || 0;
+    if (amount >= 0) subtotal.credits = roundMoney(subtotal.credits + amount);
+    else subtotal.debits = roundMoney(subtotal.debits - amount);
+    subtotal.closingBalance = row.running_balance;
+  }
+
+  return {
+    start,
+    end,
+    openingBalance,
+    closingBalance: rows.length ? rows[rows.length - 1].running_balance : openingBalance,
+    totalCredits: roundMoney(months.reduce((sum, m) => sum + m.credits, 0)),
+    totalDebits: roundMoney(months.reduce((sum, m) => sum + m.debits, 0)),
+    rows,
+    months,
+  };
+};
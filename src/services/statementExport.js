@@ -0,0 +1,65 @@
+// Spreadsheet exports of a statement from buildStatement(), generated in the
+// browser. Both formats have the same columns:
+// Date, Description, Category, Debit, Credit, Balance
+// with an opening balance row first and a closing balance row last.
+
+const HEADERS = ['Date', 'Description', 'Category', 'Debit', 'Credit', 'Balance'];
+
+// { date, description, category, debit, credit, balance } per line. Debits
+// and credits are positive numbers, or null when the line has none.
+const toLines = (statement) => [
+  { date: statement.start, description: 'Opening balance', category: '', debit: null, credit: null, balance: statement.openingBalance },
+  ...statement.rows.map((row) => {
+    const amount = Number(row.amount) || 0;
+    return {
+      date: row.date,
+      description: row.description || '',
+      category: row.category || '',
+      debit: amount < 0 ? -amount : null,
+      credit: amount >= 0 ? amount : null,
+      balance: row.running_balance,
+    };
+  }),
+  { date: statement.end, description: 'Closing balance', category: '', debit: statement.totalDebits, credit: statement.totalCredits, balance: statement.closingBalance },
+];
+
+// Spreadsheet apps run cells starting with = + - @ as formulas, so such text
+// is prefixed with a quote
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'number' ? value.toFixed(2) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const statementToCSV = (statement) =>
+  [HEADERS, ...toLines(statement).map((l) => [l.date, l.description, l.category, l.debit, l.credit, l.balance])]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n');
+
+// Resolves to a Blob. The writer is loaded on demand.
+export const statementToXLSX = async (statement) => {
+  const { default: writeXlsxFile } = await import('write-excel-file/browser');
+  const money = (value) => (value === null ? null : { value, type: Number, format: '#,##0.00' });
+  const lines = toLines(statement);
+  const data = [
+    HEADERS.map((header) => ({ value: header, fontWeight: 'bold' })),
+    ...lines.map((l, i) => {
+      // The opening and closing rows stand out
+      const edge = i === 0 || i === lines.length - 1;
+      return [
+        { value: new Date(`${l.date}T00:00:00Z`), type: Date, format: 'dd/mm/yyyy' },
+        { value: l.description, fontWeight: edge ? 'bold' : undefined },
+        l.category,
+        money(l.debit),
+        money(l.credit),
+        { ...money(l.balance), fontWeight: edge ? 'bold' : undefined },
+      ];
+    }),
+  ];
+  return writeXlsxFile(data, {
+    sheet: 'Statement',
+    columns: [{ width: 12 }, { width: 40 }, { width: 18 }, { width: 14 }, { width: 14 }, { width: 16 }],
+    stickyRowsCount: 1,
+  }).toBlob();
+};
@@ -0,0 +1,121 @@
+import { formatMonth, maskAccountNumber } from './statement';
+import { ACCOUNT_TYPES } from './ledger';
+
+// Renders a statement from buildStatement() as a PDF. jsPDF is loaded on
+// demand, so it is only downloaded when someone asks for a PDF.
+//
+// The built-in PDF fonts have no rupee sign, so amounts are printed as plain
+// numbers and the header says they are in INR.
+
+const PAGE_MARGIN = 14;
+
+const formatAmount = (n) =>
+  new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(Number(n) || 0);
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// holderName: printed under the title. account: the account of the
+// statement, or null for all accounts together. Resolves to a Blob.
+export const generateStatementPdf = async ({ statement, holderName, account }) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  // Header
+  doc.setFillColor(79, 70, 229);
+  doc.rect(0, 0, pageWidth, 24, 'F');
+  doc.setTextColor(255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('MyBank', PAGE_MARGIN, 15);
+  doc.setFontSize(11);
+  doc.text('Account Statement', pageWidth - PAGE_MARGIN, 15, { align: 'right' });
+
+  doc.setTextColor(20);
+  doc.setFontSize(10);
+  const details = [
+    ['Account holder', holderName || 'N/A'],
+    ['Account', account ? `${account.name}${account.type ? ` (${ACCOUNT_TYPES[account.type] || account.type})` : ''}` : 'All accounts'],
+    ['Account number', account ? maskAccountNumber(account.account_number) : 'N/A'],
+    ['Statement period', `${formatDay(statement.start)} to ${formatDay(statement.end)}`],
+    ['Generated on', new Date().toLocaleString('en-IN')],
+  ];
+  details.forEach(([label, value], i) => {
+    const y = 34 + i * 6;
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, PAGE_MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(String(value), PAGE_MARGIN + 40, y);
+  });
+
+  // Summary
+  autoTable(doc, {
+    startY: 66,
+    head: [['Opening balance', 'Total credits', 'Total debits', 'Closing balance']],
+    body: [[statement.openingBalance, statement.totalCredits, statement.totalDebits, statement.closingBalance].map(formatAmount)],
+    theme: 'grid',
+    styles: { fontSize: 10, halign: 'right' },
+    headStyles: { fillColor: [238, 242, 255], textColor: 20, halign: 'right' },
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+  });
+
+  // Entries, with a subtotal row after each month
+  const body = [[
+    { content: formatDay(statement.start), styles: { fontStyle: 'italic' } },
+    { content: 'Opening balance', colSpan: 3, styles: { fontStyle: 'italic' } },
+    { content: formatAmount(statement.openingBalance), styles: { fontStyle: 'italic' } },
+  ]];
+  for (const month of statement.months) {
+    for (const row of statement.rows.filter((r) => r.date.startsWith(month.month))) {
+      const amount = Number(row.amount) || 0;
+      body.push([
+        formatDay(row.date),
+        row.description || '',
+        amount < 0 ? formatAmount(-amount) : '',
+        amount >= 0 ? formatAmount(amount) : '',
+        formatAmount(row.running_balance),
+      ]);
+    }
+    body.push([
+      { content: `Subtotal for ${formatMonth(month.month)}`, colSpan: 2 },
+      formatAmount(month.debits),
+      formatAmount(month.credits),
+      formatAmount(month.closingBalance),
+    ].map((cell) => ({ ...(typeof cell === 'string' ? { content: cell } : cell), styles: { fontStyle: 'bold', fillColor: [243, 244, 246] } })));
+  }
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 8,
+    head: [['Date', 'Description', 'Debit', 'Credit', 'Balance']],
+    body,
+    theme: 'striped',
+    styles: { fontSize: 9, cellPadding: 2 },
+    headStyles: { fillColor: [79, 70, 229] },
+    columnStyles: {
+      0: { cellWidth: 26 },
+      2: { halign: 'right', cellWidth: 28 },
+      3: { halign: 'right', cellWidth: 28 },
+      4: { halign: 'right', cellWidth: 30 },
+    },
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: 18 },
+  });
+
+  if (!statement.rows.length) {
+    doc.setFontSize(10);
+    doc.text('No transactions in this period.', PAGE_MARGIN, doc.lastAutoTable.finalY + 8);
+  }
+
+  // Footer with page numbers, once the page count is known
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor(120);
+    doc.text('Amounts in INR. Computed from the transactions recorded in MyBank.', PAGE_MARGIN, pageHeight - 8);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - 8, { align: 'right' });
+  }
+
+  return doc.output('blob');
+};
@@ -1,8 +1,20 @@
-import { createClient } from '@supabase/supabase-js'
+import { createClient, navigatorLock } from '@supabase/supabase-js'
+import { authStorage } from './authStorage'
 
 // Get environment variables
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
 
+// This module is also bundled into the service worker, where there is no window
+const isWindow = typeof window !== 'undefined'
+
 // Create Supabase client
-export const supabase = createClient(supabaseUrl, supabaseAnonKey)
\ No newline at end of file
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    storage: authStorage,
+    // Share the token refresh lock between the app and the service worker
+    lock: globalThis.navigator?.locks ? navigatorLock : undefined,
+    autoRefreshToken: isWindow,
+    detectSessionInUrl: isWindow,
+  },
+})
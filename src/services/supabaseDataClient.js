@@ -17,16 +17,25 @@ export const getTransactions = async (ownerEmail) => {
   }
 };
 
+// Inserts, updates or deletes a transaction and adjusts the account balance in
+// one database transaction (see the apply_transaction migration in
+// supabase/migrations). Throws on failure; the helpers below wrap it.
+export const applyTransactionChange = async (op, id, data = {}) => {
+  const { data: row, error } = await supabase.rpc('apply_transaction', {
+    p_op: op,
+    p_id: id,
+    p_data: data,
+  });
+
+  if (error) throw error;
+  // Deletes come back as a row of nulls
+  return row?.id ? row : null;
+};
+
 export const addTransaction = async (transaction) => {
   try {
-    const { data, error } = await supabase
-      .from('transactions')
-      .insert([transaction])
-      .select()
-      .single();
-
-    if (error) throw error;
-    return data;
+    const { id = crypto.randomUUID(), ...fields } = transaction;
+    return await applyTransactionChange('insert', id, fields);
   } catch (error) {
     console.error('Error adding transaction:', error);
     return null;
@@ -35,15 +44,7 @@ export const addTransaction = async (transaction) => {
 
 export const updateTransaction = async (id, updates) => {
   try {
-    const { data, error } = await supabase
-      .from('transactions')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
-    return data;
+    return await applyTransactionChange('update', id, updates);
   } catch (error) {
     console.error('Error updating transaction:', error);
     return null;
@@ -52,38 +53,28 @@ export const updateTransaction = async (id, updates) => {
 
 export const deleteTransaction = async (id) => {
   try {
-    // First, let's get the transaction to verify ownership
-    const { data: transaction, error: fetchError } = await supabase
-      .from('transactions')
-      .select('id, owner_email')
-      .eq('id', id)
-      .single();
-
-    if (fetchError) {
-      console.error('Error fetching transaction:', fetchError);
-      console.error('Error details:', fetchError.message, fetchError.details, fetchError.hint);
-      return false;
-    }
-
-    // Then delete the transaction
-    const { data, error } = await supabase
-      .from('transactions')
-      .delete()
-      .eq('id', id)
-      .eq('owner_email', transaction.owner_email);
-
-    if (error) {
-      console.error('Error deleting transaction:', error);
-      console.error('Error details:', error.message, error.details, error.hint);
-      throw error;
-    }
+    await applyTransactionChange('delete', id);
     return true;
   } catch (error) {
     console.error('Error deleting transaction:', error);
+    console.error('Error details:', error.message, error.details, error.hint);
     return false;
   }
 };
 
+// Inserts, updates or deletes both legs of a transfer between two accounts
+// (see the apply_transfer migration). Throws on failure; resolves to the legs.
+export const applyTransferChange = async (op, transferId, data = {}) => {
+  const { data: legs, error } = await supabase.rpc('apply_transfer', {
+    p_op: op,
+    p_transfer_id: transferId,
+    p_data: data,
+  });
+
+  if (error) throw error;
+  return legs || [];
+};
+
 // Recurring Payments
 export const getRecurringPayments = async (ownerEmail) => {
   try {
@@ -149,6 +140,76 @@ export const deleteRecurringPayment = async (id) => {
   }
 };
 
+// Scheduled transactions
+// Written through the outbox (see scheduler.js); only read here
+export const getScheduledTransactions = async (ownerEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_transactions')
+      .select('*')
+      .eq('owner_email', ownerEmail)
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching scheduled transactions:', error);
+    return [];
+  }
+};
+
+// Posted, skipped and failed occurrences of recurring payments, newest first
+export const getRecurringPaymentRuns = async (ownerEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_payment_runs')
+      .select('*')
+      .eq('owner_email', ownerEmail)
+      .order('due_date', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching recurring payment runs:', error);
+    return [];
+  }
+};
+
+// The in-app notification feed, newest first
+export const getNotifications = async (ownerEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('owner_email', ownerEmail)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return [];
+  }
+};
+
+// The stored notifications with the given ids
+export const getNotificationsByIds = async (ownerEmail, ids) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('owner_email', ownerEmail)
+      .in('id', ids);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return [];
+  }
+};
+
 // Bill Reminders
 export const getBillReminders = async (ownerEmail) => {
   try {
@@ -166,6 +227,23 @@ export const getBillReminders = async (ownerEmail) => {
   }
 };
 
+// Payments made against bills, oldest first
+export const getBillPayments = async (ownerEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('bill_payments')
+      .select('*')
+      .eq('owner_email', ownerEmail)
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching bill payments:', error);
+    return [];
+  }
+};
+
 export const addBillReminder = async (reminder) => {
   try {
     const { data, error } = await supabase
@@ -214,20 +292,22 @@ export const deleteBillReminder = async (id) => {
   }
 };
 
-// Account Information
-export const getAccountInfo = async (ownerEmail) => {
+// Accounts
+// All accounts of the owner, oldest first. The first one is where
+// transactions without an account_id are posted.
+export const getAccounts = async (ownerEmail) => {
   try {
     const { data, error } = await supabase
       .from('accounts')
       .select('*')
       .eq('owner_email', ownerEmail)
-      .single();
+      .order('created_at', { ascending: true });
 
     if (error) throw error;
     return data;
   } catch (error) {
-    console.error('Error fetching account info:', error);
-    return null;
+    console.error('Error fetching accounts:', error);
+    return [];
   }
 };
 
@@ -264,12 +344,93 @@ export const updateAccount = async (id, updates) => {
   }
 };
 
+// Reconciliation
+// Stored balance vs. ledger sum per account, from the account_reconciliation view
+export const getAccountReconciliation = async (ownerEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('account_reconciliation')
+      .select('*')
+      .eq('owner_email', ownerEmail);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching account reconciliation:', error);
+    return [];
+  }
+};
+
+// Posts an adjustment transaction for the current drift of an account (computed server-side)
+export const postBalanceAdjustment = async (id, accountId, date, description) => {
+  try {
+    const { data, error } = await supabase.rpc('post_balance_adjustment', {
+      p_id: id,
+      p_account_id: accountId,
+      p_date: date,
+      p_description: description,
+    });
+
+    if (error) throw error;
+    return data?.id ? data : null;
+  } catch (error) {
+    console.error('Error posting balance adjustment:', error);
+    return null;
+  }
+};
+
+// Outbox replay
+// Runs one insert/update/delete against any table. Unlike the helpers above it
+// throws on failure, so the outbox can tell a dropped connection from a
+// rejected write.
+export const applyMutation = async ({ table, op, rowId, payload }) => {
+  // Transactions always go through apply_transaction so the balance moves with them
+  if (table === 'transactions') {
+    return applyTransactionChange(op, rowId, payload);
+  }
+  // Transfers are queued under the pseudo-table 'transfers' and written as a pair
+  if (table === 'transfers') {
+    return applyTransferChange(op, rowId, payload);
+  }
+
+  let query;
+  switch (op) {
+    case 'insert':
+      // Upsert on the client-generated id, so replaying an insert that already
+      // reached the server (e.g. after a timeout) does not create a second row
+      query = supabase
+        .from(table)
+        .upsert([payload], { onConflict: 'id', ignoreDuplicates: true })
+        .select();
+      break;
+    case 'update':
+      query = supabase
+        .from(table)
+        .update(payload)
+        .eq('id', rowId)
+        .select();
+      break;
+    case 'delete':
+      query = supabase
+        .from(table)
+        .delete()
+        .eq('id', rowId);
+      break;
+    default:
+      throw new Error(`Unknown mutation type: ${op}`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return Array.isArray(data) ? data[0] || null : data;
+};
+
 // Sync local data to Supabase (for initial migration)
 export const syncLocalDataToSupabase = async (ownerEmail, localTransactions, localRecurringPayments, localBillReminders) => {
   try {
     // Sync transactions
     const transactionPromises = localTransactions.map(transaction => 
-      addTransaction({ ...transaction, owner_email: ownerEmail })
+      addTransaction({ ...transaction, id: undefined, owner_email: ownerEmail })
     );
     await Promise.all(transactionPromises);
 
@@ -0,0 +1,63 @@
+// Transfers between the user's own accounts. A transfer is stored as two
+// 'transfer' transactions sharing a transfer_id: a debit on the source
+// account and a credit on the destination account. Both legs are written
+// together by apply_transfer() (see supabase/migrations).
+//
+// Transfer payload (what apply_transfer() expects and what the outbox stores):
+// { debit_id, credit_id, from_account_id, to_account_id, amount, description, date }
+
+export const isTransfer = (transaction) => transaction.type === 'transfer';
+
+// The two legs of a transfer, as they will be stored. `amount` is positive.
+export const buildTransferLegs = (transferId, ownerEmail, payload) => {
+  const amount = Math.abs(Number(payload.amount));
+  const common = {
+    owner_email: ownerEmail,
+    transfer_id: transferId,
+    type: 'transfer',
+    description: payload.description,
+    category: 'Transfer',
+    date: payload.date,
+  };
+  return [
+    { ...common, id: payload.debit_id, account_id: payload.from_account_id, amount: -amount },
+    { ...common, id: payload.credit_id, account_id: payload.to_account_id, amount },
+  ];
+};
+
+// { debit, credit } for a transfer_id
+export const getTransferLegs = (transactions, transferId) => {
+  const legs = transactions.filter((t) => t.transfer_id === transferId);
+  return {
+    debit: legs.find((t) => t.amount < 0) || null,
+    credit: legs.find((t) => t.amount >= 0) || null,
+  };
+};
+
+// Turns the stored legs back into a transfer payload
+export const toTransferPayload = ({ debit, credit }) => ({
+  debit_id: debit.id,
+  credit_id: credit.id,
+  from_account_id: debit.account_id,
+  to_account_id: credit.account_id,
+  amount: Math.abs(Number(credit.amount)),
+  description: debit.description,
+  date: debit.date,
+});
+
+// Same as applyPendingMutations in the outbox, for transfers queued offline
+export const applyPendingTransfers = (rows, entries) => {
+  let result = [...rows];
+  for (const entry of entries) {
+    if (entry.table !== 'transfers') continue;
+    const others = result.filter((t) => t.transfer_id !== entry.rowId);
+    if (entry.op === 'delete') {
+      result = others;
+    } else if (entry.op === 'insert' && others.length < result.length) {
+      continue; // Already on the server
+    } else {
+      result = [...buildTransferLegs(entry.rowId, entry.ownerEmail, entry.payload), ...others];
+    }
+  }
+  return result;
+};
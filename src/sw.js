@@ -0,0 +1,129 @@
+import { clientsClaim } from 'workbox-core';
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import { supabase } from './services/supabaseClient';
+import { getAccounts, getTransactions, getBillReminders, getScheduledTransactions, getRecurringPayments, getNotifications } from './services/supabaseDataClient';
+import { flushOutbox, getOutboxEntries } from './services/outbox';
+import { writeCachedRows } from './services/dataCache';
+import { postDueScheduledTransactions, postDueRecurringPayments } from './services/scheduler';
+import { OUTBOX_SYNC_TAG, REFRESH_SYNC_TAG } from './services/backgroundSync';
+import { getNotificationSettings, notificationClickUrl, notifyDueBills, pushNotification } from './services/billNotifications';
+import { deriveNotifications, recurringPostedNotifications, saveNotifications } from './services/notifications';
+
+// Take over open tabs as soon as a new version is installed
+self.skipWaiting();
+clientsClaim();
+
+// Precache the Vite build output (list is injected at build time)
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve the app shell for every navigation so the app launches offline
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+// Background Sync: drain the outbox and prefetch data while the app is closed.
+// The app stores the Supabase session in IndexedDB, so it is readable here
+const getSessionEmail = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user?.email || null;
+};
+
+const drainOutbox = async () => {
+  const ownerEmail = await getSessionEmail();
+  if (!ownerEmail) return;
+  const { remaining } = await flushOutbox(ownerEmail);
+  // Rejecting makes the browser retry the sync later with backoff
+  if (remaining > 0) throw new Error(`${remaining} queued write(s) still pending`);
+};
+
+const refreshData = async () => {
+  const ownerEmail = await getSessionEmail();
+  if (!ownerEmail) return;
+  // Push local changes first so the prefetched data includes them
+  await flushOutbox(ownerEmail);
+  // Post scheduled transactions and recurring payments that came due while
+  // the app was closed
+  const { posted } = await postDueScheduledTransactions(ownerEmail, await getScheduledTransactions(ownerEmail));
+  const recurringPayments = await getRecurringPayments(ownerEmail);
+  const recurring = await postDueRecurringPayments(ownerEmail, recurringPayments);
+  const [accounts, transactions, billReminders, scheduled, notifications] = await Promise.all([
+    getAccounts(ownerEmail),
+    getTransactions(ownerEmail),
+    getBillReminders(ownerEmail),
+    posted.length ? getScheduledTransactions(ownerEmail) : null,
+    getNotifications(ownerEmail),
+  ]);
+  await writeCachedRows(ownerEmail, 'accounts', accounts);
+  await writeCachedRows(ownerEmail, 'transactions', transactions);
+  await writeCachedRows(ownerEmail, 'bill_reminders', billReminders);
+  // Remind about bills coming up or overdue, if the user opted in
+  await notifyDueBills(ownerEmail, billReminders);
+  // Add what happened meanwhile to the in-app notification feed
+  const feed = await saveNotifications(ownerEmail, [
+    ...recurringPostedNotifications(recurring.runs, recurringPayments),
+    ...deriveNotifications({
+      bills: billReminders,
+      accounts,
+      transactions,
+      outboxEntries: await getOutboxEntries(ownerEmail),
+      settings: await getNotificationSettings(ownerEmail),
+      today: new Date().toISOString().slice(0, 10),
+    }),
+  ], notifications);
+  if (feed.length) await writeCachedRows(ownerEmail, 'notifications', [...feed, ...notifications]);
+  if (scheduled) await writeCachedRows(ownerEmail, 'scheduled_transactions', scheduled);
+  if (recurring.posted.length) await writeCachedRows(ownerEmail, 'recurring_payments', await getRecurringPayments(ownerEmail));
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(drainOutbox());
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REFRESH_SYNC_TAG) {
+    event.waitUntil(refreshData());
+  }
+});
+
+// Web Push: { type: 'bill-reminder', bill, stage } or { title, body, url }.
+// The app's local push stand-in (simulatePush) posts the same payloads.
+const showPushed = (payload) => {
+  const { title, options } = pushNotification(payload, new Date().toISOString().slice(0, 10));
+  return self.registration.showNotification(title, options);
+};
+
+self.addEventListener('push', (event) => {
+  let payload;
+  try {
+    payload = event.data?.json();
+  } catch {
+    // A plain-text message, e.g. from the DevTools push button
+    payload = { body: event.data?.text() };
+  }
+  event.waitUntil(showPushed(payload));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'simulate-push') {
+    event.waitUntil(showPushed(event.data.payload));
+  }
+});
+
+// Opens the app on what the notification is about, in an open tab when there
+// is one (see notificationClickUrl).
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = notificationClickUrl(event.notification.data, event.action);
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows[0];
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'open-url', url: target });
+      return;
+    }
+    await self.clients.openWindow(target);
+  })());
+});
@@ -0,0 +1,92 @@
+-- Atomic transaction writes
+--
+-- apply_transaction() inserts, updates or deletes a transaction and adjusts
+-- accounts.balance by the same amount in one database transaction. The client
+-- no longer computes the new balance itself, so two tabs or devices cannot
+-- overwrite each other's balance.
+--
+-- Every operation is idempotent, so it is safe to replay from the offline outbox:
+--   insert  - does nothing if a transaction with that id already exists
+--   update  - applies the difference between the stored and the new amount
+--   delete  - does nothing if the transaction is already gone
+--
+-- The function runs with the caller's privileges, so the Row Level Security
+-- policies on both tables still apply.
+
+CREATE OR REPLACE FUNCTION apply_transaction(
+  p_op TEXT,
+  p_id UUID,
+  p_data JSONB DEFAULT '{}'::JSONB
+)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner TEXT := auth.jwt() ->> 'email';
+  v_old transactions%ROWTYPE;
+  v_new transactions%ROWTYPE;
+  v_delta DECIMAL(10,2) := 0;
+BEGIN
+  IF p_op = 'insert' THEN
+    INSERT INTO transactions (id, owner_email, type, amount, description, category, date)
+    VALUES (
+      p_id,
+      v_owner,
+      p_data ->> 'type',
+      (p_data ->> 'amount')::DECIMAL,
+      p_data ->> 'description',
+      p_data ->> 'category',
+      COALESCE((p_data ->> 'date')::DATE, CURRENT_DATE)
+    )
+    ON CONFLICT (id) DO NOTHING
+    RETURNING * INTO v_new;
+
+    IF FOUND THEN
+      v_delta := v_new.amount;
+    ELSE
+      SELECT * INTO v_new FROM transactions WHERE id = p_id;
+    END IF;
+
+  ELSIF p_op = 'update' THEN
+    SELECT * INTO v_old FROM transactions WHERE id = p_id FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transaction % not found', p_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE transactions SET
+      type = COALESCE(p_data ->> 'type', type),
+      amount = COALESCE((p_data ->> 'amount')::DECIMAL, amount),
+      description = CASE WHEN p_data ? 'description' THEN p_data ->> 'description' ELSE description END,
+      category = CASE WHEN p_data ? 'category' THEN p_data ->> 'category' ELSE category END,
+      date = COALESCE((p_data ->> 'date')::DATE, date),
+      updated_at = NOW()
+    WHERE id = p_id
+    RETURNING * INTO v_new;
+
+    v_delta := v_new.amount - v_old.amount;
+
+  ELSIF p_op = 'delete' THEN
+    DELETE FROM transactions WHERE id = p_id RETURNING * INTO v_old;
+    IF FOUND THEN
+      v_delta := -v_old.amount;
+    END IF;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown operation: %', p_op USING ERRCODE = '22023';
+  END IF;
+
+  IF v_delta <> 0 THEN
+    UPDATE accounts
+    SET balance = balance + v_delta, updated_at = NOW()
+    WHERE owner_email = v_owner;
+  END IF;
+
+  -- NULL for deletes
+  RETURN v_new;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION apply_transaction(TEXT, UUID, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION apply_transaction(TEXT, UUID, JSONB) TO authenticated;
@@ -0,0 +1,85 @@
+-- Ledger-derived balance
+--
+-- The balance is now derived from the ledger: the starting figure is an
+-- 'opening_balance' transaction instead of a number typed into
+-- accounts.balance. Any difference between the stored balance and the ledger
+-- sum is reconciled by posting an explicit 'adjustment' transaction.
+
+-- New transaction types. Neither counts as income or expense.
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+  CHECK (type IN ('income', 'expense', 'opening_balance', 'adjustment'));
+
+-- At most one opening balance per owner
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_opening_balance
+  ON transactions (owner_email) WHERE type = 'opening_balance';
+
+-- Stored balance next to the ledger sum. A non-zero drift means
+-- accounts.balance was changed without a matching transaction (e.g. by
+-- versions of the app that wrote a client-computed balance).
+CREATE OR REPLACE VIEW account_reconciliation
+WITH (security_invoker = true) AS
+SELECT
+  a.id AS account_id,
+  a.owner_email,
+  a.balance AS stored_balance,
+  COALESCE(SUM(t.amount), 0)::DECIMAL(10,2) AS ledger_balance,
+  (a.balance - COALESCE(SUM(t.amount), 0))::DECIMAL(10,2) AS drift
+FROM accounts a
+LEFT JOIN transactions t ON t.owner_email = a.owner_email
+GROUP BY a.id, a.owner_email, a.balance;
+
+GRANT SELECT ON account_reconciliation TO authenticated;
+
+-- Posts an 'adjustment' transaction for the current drift so that the ledger
+-- matches the stored balance. The stored balance itself is left alone: the
+-- adjustment records a difference that is already in it.
+--
+-- The drift is computed here, with the account row locked, so a stale figure
+-- on the client cannot be posted. Replaying with the same id returns the
+-- existing adjustment. Returns NULL when there is nothing to adjust.
+CREATE OR REPLACE FUNCTION post_balance_adjustment(
+  p_id UUID,
+  p_date DATE DEFAULT CURRENT_DATE,
+  p_description TEXT DEFAULT 'Balance adjustment'
+)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner TEXT := auth.jwt() ->> 'email';
+  v_account accounts%ROWTYPE;
+  v_ledger DECIMAL(10,2);
+  v_drift DECIMAL(10,2);
+  v_new transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_new FROM transactions WHERE id = p_id;
+  IF FOUND THEN
+    RETURN v_new;
+  END IF;
+
+  -- apply_transaction() updates this row too, so this serialises with it
+  SELECT * INTO v_account FROM accounts WHERE owner_email = v_owner FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No account found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_ledger FROM transactions WHERE owner_email = v_owner;
+  v_drift := v_account.balance - v_ledger;
+
+  IF v_drift = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO transactions (id, owner_email, type, amount, description, category, date)
+  VALUES (p_id, v_owner, 'adjustment', v_drift, p_description, 'Adjustment', COALESCE(p_date, CURRENT_DATE))
+  RETURNING * INTO v_new;
+
+  RETURN v_new;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION post_balance_adjustment(UUID, DATE, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION post_balance_adjustment(UUID, DATE, TEXT) TO authenticated;
@@ -0,0 +1,199 @@
+-- Multiple accounts per user
+--
+-- A user can now hold several accounts (savings, current, credit card, cash
+-- wallet). Every transaction belongs to one account, and apply_transaction()
+-- moves that account's balance instead of "the" account of the owner.
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS name TEXT NOT NULL DEFAULT 'Main account';
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'savings'
+  CHECK (type IN ('savings', 'current', 'credit_card', 'cash'));
+
+CREATE POLICY "Users can delete their own account" ON accounts
+  FOR DELETE USING (owner_email = auth.jwt() ->> 'email');
+
+-- Transactions belong to an account. Existing rows move to the owner's first
+-- (until now, only) account.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts (id) ON DELETE CASCADE;
+
+UPDATE transactions t
+SET account_id = (
+  SELECT a.id FROM accounts a
+  WHERE a.owner_email = t.owner_email
+  ORDER BY a.created_at
+  LIMIT 1
+)
+WHERE t.account_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions (account_id);
+
+-- Account that recurring payments and bills are paid from. Left empty, the
+-- app posts them to the owner's first account.
+ALTER TABLE recurring_payments ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts (id) ON DELETE SET NULL;
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts (id) ON DELETE SET NULL;
+
+-- One opening balance per account instead of per owner
+DROP INDEX IF EXISTS idx_transactions_opening_balance;
+CREATE UNIQUE INDEX idx_transactions_opening_balance
+  ON transactions (account_id) WHERE type = 'opening_balance';
+
+-- Same operations as before, but the balance that moves is the one of the
+-- transaction's account. Without an account_id, an insert goes to the owner's
+-- first account; an update may move a transaction to another account.
+CREATE OR REPLACE FUNCTION apply_transaction(
+  p_op TEXT,
+  p_id UUID,
+  p_data JSONB DEFAULT '{}'::JSONB
+)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner TEXT := auth.jwt() ->> 'email';
+  v_account UUID;
+  v_old transactions%ROWTYPE;
+  v_new transactions%ROWTYPE;
+  v_changed BOOLEAN := FALSE;
+BEGIN
+  IF p_data ? 'account_id' THEN
+    v_account := (p_data ->> 'account_id')::UUID;
+    -- RLS hides other users' accounts, so this also checks ownership
+    IF v_account IS NOT NULL AND NOT EXISTS (SELECT 1 FROM accounts WHERE id = v_account) THEN
+      RAISE EXCEPTION 'Account % not found', v_account USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+
+  IF p_op = 'insert' THEN
+    IF v_account IS NULL THEN
+      SELECT id INTO v_account FROM accounts
+      WHERE owner_email = v_owner
+      ORDER BY created_at
+      LIMIT 1;
+    END IF;
+
+    INSERT INTO transactions (id, owner_email, account_id, type, amount, description, category, date)
+    VALUES (
+      p_id,
+      v_owner,
+      v_account,
+      p_data ->> 'type',
+      (p_data ->> 'amount')::DECIMAL,
+      p_data ->> 'description',
+      p_data ->> 'category',
+      COALESCE((p_data ->> 'date')::DATE, CURRENT_DATE)
+    )
+    ON CONFLICT (id) DO NOTHING
+    RETURNING * INTO v_new;
+
+    IF FOUND THEN
+      v_changed := TRUE;
+    ELSE
+      SELECT * INTO v_new FROM transactions WHERE id = p_id;
+    END IF;
+
+  ELSIF p_op = 'update' THEN
+    SELECT * INTO v_old FROM transactions WHERE id = p_id FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transaction % not found', p_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE transactions SET
+      account_id = CASE WHEN p_data ? 'account_id' THEN v_account ELSE account_id END,
+      type = COALESCE(p_data ->> 'type', type),
+      amount = COALESCE((p_data ->> 'amount')::DECIMAL, amount),
+      description = CASE WHEN p_data ? 'description' THEN p_data ->> 'description' ELSE description END,
+      category = CASE WHEN p_data ? 'category' THEN p_data ->> 'category' ELSE category END,
+      date = COALESCE((p_data ->> 'date')::DATE, date),
+      updated_at = NOW()
+    WHERE id = p_id
+    RETURNING * INTO v_new;
+
+    v_changed := TRUE;
+
+  ELSIF p_op = 'delete' THEN
+    DELETE FROM transactions WHERE id = p_id RETURNING * INTO v_old;
+    v_changed := FOUND;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown operation: %', p_op USING ERRCODE = '22023';
+  END IF;
+
+  -- Take the old amount off the old account and put the new amount on the
+  -- new one (the same account, unless the transaction was moved)
+  IF v_changed THEN
+    UPDATE accounts SET
+      balance = balance
+        + CASE WHEN id = v_new.account_id THEN COALESCE(v_new.amount, 0) ELSE 0 END
+        - CASE WHEN id = v_old.account_id THEN COALESCE(v_old.amount, 0) ELSE 0 END,
+      updated_at = NOW()
+    WHERE id IN (v_old.account_id, v_new.account_id);
+  END IF;
+
+  -- NULL for deletes
+  RETURN v_new;
+END;
+$$;
+
+-- Reconciliation per account
+CREATE OR REPLACE VIEW account_reconciliation
+WITH (security_invoker = true) AS
+SELECT
+  a.id AS account_id,
+  a.owner_email,
+  a.balance AS stored_balance,
+  COALESCE(SUM(t.amount), 0)::DECIMAL(10,2) AS ledger_balance,
+  (a.balance - COALESCE(SUM(t.amount), 0))::DECIMAL(10,2) AS drift
+FROM accounts a
+LEFT JOIN transactions t ON t.account_id = a.id
+GROUP BY a.id, a.owner_email, a.balance;
+
+-- post_balance_adjustment() now takes the account to reconcile
+DROP FUNCTION IF EXISTS post_balance_adjustment(UUID, DATE, TEXT);
+
+CREATE OR REPLACE FUNCTION post_balance_adjustment(
+  p_id UUID,
+  p_account_id UUID,
+  p_date DATE DEFAULT CURRENT_DATE,
+  p_description TEXT DEFAULT 'Balance adjustment'
+)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner TEXT := auth.jwt() ->> 'email';
+  v_account accounts%ROWTYPE;
+  v_ledger DECIMAL(10,2);
+  v_drift DECIMAL(10,2);
+  v_new transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_new FROM transactions WHERE id = p_id;
+  IF FOUND THEN
+    RETURN v_new;
+  END IF;
+
+  -- apply_transaction() updates this row too, so this serialises with it
+  SELECT * INTO v_account FROM accounts WHERE id = p_account_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Account % not found', p_account_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_ledger FROM transactions WHERE account_id = p_account_id;
+  v_drift := v_account.balance - v_ledger;
+
+  IF v_drift = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO transactions (id, owner_email, account_id, type, amount, description, category, date)
+  VALUES (p_id, v_owner, p_account_id, 'adjustment', v_drift, p_description, 'Adjustment', COALESCE(p_date, CURRENT_DATE))
+  RETURNING * INTO v_new;
+
+  RETURN v_new;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION post_balance_adjustment(UUID, UUID, DATE, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION post_balance_adjustment(UUID, UUID, DATE, TEXT) TO authenticated;
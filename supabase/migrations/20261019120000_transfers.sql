@@ -0,0 +1,135 @@
+-- Transfers between a user's own accounts
+--
+-- A transfer is stored as two 'transfer' transactions that share a
+-- transfer_id: a debit on the source account and a credit on the destination
+-- account. apply_transfer() creates, edits and deletes both legs (and both
+-- balances) in one database transaction. Transfers are not income or expense,
+-- so they stay out of the income/expense figures.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transfer_id UUID;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+  CHECK (type IN ('income', 'expense', 'opening_balance', 'adjustment', 'transfer'));
+
+-- Transfer legs, and only transfer legs, carry a transfer_id
+ALTER TABLE transactions ADD CONSTRAINT transactions_transfer_id_check
+  CHECK ((type = 'transfer') = (transfer_id IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions (transfer_id);
+
+-- Inserts, updates or deletes both legs of a transfer and moves both account
+-- balances. p_data holds from_account_id, to_account_id, amount (positive),
+-- description and date, plus optional debit_id / credit_id for the legs.
+--
+-- Like apply_transaction() every operation is idempotent, so it is safe to
+-- replay from the offline outbox. Returns the legs, debit first (none for deletes).
+CREATE OR REPLACE FUNCTION apply_transfer(
+  p_op TEXT,
+  p_transfer_id UUID,
+  p_data JSONB DEFAULT '{}'::JSONB
+)
+RETURNS SETOF transactions
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner TEXT := auth.jwt() ->> 'email';
+  v_from UUID := (p_data ->> 'from_account_id')::UUID;
+  v_to UUID := (p_data ->> 'to_account_id')::UUID;
+  v_amount DECIMAL(10,2) := ABS((p_data ->> 'amount')::DECIMAL);
+  v_leg transactions%ROWTYPE;
+BEGIN
+  -- Lets the guard trigger below through for the rest of this transaction
+  PERFORM set_config('app.applying_transfer', 'on', true);
+
+  IF p_op IN ('insert', 'update') THEN
+    IF v_from IS NULL OR v_to IS NULL OR v_from = v_to THEN
+      RAISE EXCEPTION 'A transfer needs two different accounts' USING ERRCODE = '22023';
+    END IF;
+    IF v_amount IS NULL OR v_amount <= 0 THEN
+      RAISE EXCEPTION 'Transfer amount must be positive' USING ERRCODE = '22023';
+    END IF;
+    -- RLS hides other users' accounts, so this also checks ownership
+    IF (SELECT COUNT(*) FROM accounts WHERE id IN (v_from, v_to)) <> 2 THEN
+      RAISE EXCEPTION 'Account not found' USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+
+  IF p_op = 'insert' THEN
+    IF NOT EXISTS (SELECT 1 FROM transactions WHERE transfer_id = p_transfer_id) THEN
+      INSERT INTO transactions (id, owner_email, account_id, transfer_id, type, amount, description, category, date)
+      VALUES
+        (COALESCE((p_data ->> 'debit_id')::UUID, gen_random_uuid()), v_owner, v_from, p_transfer_id,
+         'transfer', -v_amount, p_data ->> 'description', 'Transfer', COALESCE((p_data ->> 'date')::DATE, CURRENT_DATE)),
+        (COALESCE((p_data ->> 'credit_id')::UUID, gen_random_uuid()), v_owner, v_to, p_transfer_id,
+         'transfer', v_amount, p_data ->> 'description', 'Transfer', COALESCE((p_data ->> 'date')::DATE, CURRENT_DATE));
+
+      UPDATE accounts
+      SET balance = balance + CASE WHEN id = v_to THEN v_amount ELSE -v_amount END, updated_at = NOW()
+      WHERE id IN (v_from, v_to);
+    END IF;
+
+  ELSIF p_op = 'update' THEN
+    -- Take the old legs off their accounts, then post the new ones
+    FOR v_leg IN SELECT * FROM transactions WHERE transfer_id = p_transfer_id FOR UPDATE LOOP
+      UPDATE accounts SET balance = balance - v_leg.amount, updated_at = NOW() WHERE id = v_leg.account_id;
+    END LOOP;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transfer % not found', p_transfer_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE transactions SET
+      account_id = CASE WHEN amount < 0 THEN v_from ELSE v_to END,
+      amount = CASE WHEN amount < 0 THEN -v_amount ELSE v_amount END,
+      description = CASE WHEN p_data ? 'description' THEN p_data ->> 'description' ELSE description END,
+      date = COALESCE((p_data ->> 'date')::DATE, date),
+      updated_at = NOW()
+    WHERE transfer_id = p_transfer_id;
+
+    UPDATE accounts
+    SET balance = balance + CASE WHEN id = v_to THEN v_amount ELSE -v_amount END, updated_at = NOW()
+    WHERE id IN (v_from, v_to);
+
+  ELSIF p_op = 'delete' THEN
+    FOR v_leg IN DELETE FROM transactions WHERE transfer_id = p_transfer_id RETURNING * LOOP
+      UPDATE accounts SET balance = balance - v_leg.amount, updated_at = NOW() WHERE id = v_leg.account_id;
+    END LOOP;
+    RETURN;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown operation: %', p_op USING ERRCODE = '22023';
+  END IF;
+
+  RETURN QUERY SELECT * FROM transactions WHERE transfer_id = p_transfer_id ORDER BY amount;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION apply_transfer(TEXT, UUID, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION apply_transfer(TEXT, UUID, JSONB) TO authenticated;
+
+-- Transfer legs may only be written through apply_transfer(), so one leg can
+-- never be edited or deleted without the other (this also blocks deleting an
+-- account that still has transfers).
+CREATE OR REPLACE FUNCTION guard_transfer_legs()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_setting('app.applying_transfer', true) IS DISTINCT FROM 'on' THEN
+    RAISE EXCEPTION 'Transfer legs can only be changed together through apply_transfer()' USING ERRCODE = '55000';
+  END IF;
+  RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+CREATE TRIGGER transactions_guard_transfer_insert
+  BEFORE INSERT ON transactions
+  FOR EACH ROW WHEN (NEW.transfer_id IS NOT NULL OR NEW.type = 'transfer')
+  EXECUTE FUNCTION guard_transfer_legs();
+
+CREATE TRIGGER transactions_guard_transfer_change
+  BEFORE UPDATE OR DELETE ON transactions
+  FOR EACH ROW WHEN (OLD.transfer_id IS NOT NULL)
+  EXECUTE FUNCTION guard_transfer_legs();
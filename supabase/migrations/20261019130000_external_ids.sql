@@ -0,0 +1,119 @@
+-- External ids for imported statement lines
+--
+-- OFX/QFX statements give every transaction a FITID (financial institution
+-- transaction id) that stays the same across downloads. It is stored as
+-- transactions.external_id so that importing the same statement line twice
+-- into an account does not post it twice.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS external_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_external_id
+  ON transactions (account_id, external_id) WHERE external_id IS NOT NULL;
+
+-- Same as before, plus external_id on insert
+CREATE OR REPLACE FUNCTION apply_transaction(
+  p_op TEXT,
+  p_id UUID,
+  p_data JSONB DEFAULT '{}'::JSONB
+)
+RETURNS transactions
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner TEXT := auth.jwt() ->> 'email';
+  v_account UUID;
+  v_old transactions%ROWTYPE;
+  v_new transactions%ROWTYPE;
+  v_changed BOOLEAN := FALSE;
+BEGIN
+  IF p_data ? 'account_id' THEN
+    v_account := (p_data ->> 'account_id')::UUID;
+    -- RLS hides other users' accounts, so this also checks ownership
+    IF v_account IS NOT NULL AND NOT EXISTS (SELECT 1 FROM accounts WHERE id = v_account) THEN
+      RAISE EXCEPTION 'Account % not found', v_account USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+
+  IF p_op = 'insert' THEN
+    IF v_account IS NULL THEN
+      SELECT id INTO v_account FROM accounts
+      WHERE owner_email = v_owner
+      ORDER BY created_at
+      LIMIT 1;
+    END IF;
+
+    -- A statement line that was already imported into this account is not
+    -- imported again; the existing transaction is returned instead
+    IF p_data ->> 'external_id' IS NOT NULL THEN
+      SELECT * INTO v_new FROM transactions
+      WHERE account_id IS NOT DISTINCT FROM v_account AND external_id = p_data ->> 'external_id';
+      IF FOUND THEN
+        RETURN v_new;
+      END IF;
+    END IF;
+
+    INSERT INTO transactions (id, owner_email, account_id, external_id, type, amount, description, category, date)
+    VALUES (
+      p_id,
+      v_owner,
+      v_account,
+      p_data ->> 'external_id',
+      p_data ->> 'type',
+      (p_data ->> 'amount')::DECIMAL,
+      p_data ->> 'description',
+      p_data ->> 'category',
+      COALESCE((p_data ->> 'date')::DATE, CURRENT_DATE)
+    )
+    ON CONFLICT (id) DO NOTHING
+    RETURNING * INTO v_new;
+
+    IF FOUND THEN
+      v_changed := TRUE;
+    ELSE
+      SELECT * INTO v_new FROM transactions WHERE id = p_id;
+    END IF;
+
+  ELSIF p_op = 'update' THEN
+    SELECT * INTO v_old FROM transactions WHERE id = p_id FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Transaction % not found', p_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE transactions SET
+      account_id = CASE WHEN p_data ? 'account_id' THEN v_account ELSE account_id END,
+      type = COALESCE(p_data ->> 'type', type),
+      amount = COALESCE((p_data ->> 'amount')::DECIMAL, amount),
+      description = CASE WHEN p_data ? 'description' THEN p_data ->> 'description' ELSE description END,
+      category = CASE WHEN p_data ? 'category' THEN p_data ->> 'category' ELSE category END,
+      date = COALESCE((p_data ->> 'date')::DATE, date),
+      updated_at = NOW()
+    WHERE id = p_id
+    RETURNING * INTO v_new;
+
+    v_changed := TRUE;
+
+  ELSIF p_op = 'delete' THEN
+    DELETE FROM transactions WHERE id = p_id RETURNING * INTO v_old;
+    v_changed := FOUND;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown operation: %', p_op USING ERRCODE = '22023';
+  END IF;
+
+  -- Take the old amount off the old account and put the new amount on the
+  -- new one (the same account, unless the transaction was moved)
+  IF v_changed THEN
+    UPDATE accounts SET
+      balance = balance
+        + CASE WHEN id = v_new.account_id THEN COALESCE(v_new.amount, 0) ELSE 0 END
+        - CASE WHEN id = v_old.account_id THEN COALESCE(v_old.amount, 0) ELSE 0 END,
+      updated_at = NOW()
+    WHERE id IN (v_old.account_id, v_new.account_id);
+  END IF;
+
+  -- NULL for deletes
+  RETURN v_new;
+END;
+$$;
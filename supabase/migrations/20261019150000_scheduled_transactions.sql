@@ -0,0 +1,36 @@
+-- Scheduled one-off transactions
+--
+-- A scheduled transaction is an income or expense entered ahead of its date
+-- (e.g. a rent top-up on the 5th). It lives here, outside the ledger, so it
+-- does not move any balance until it is posted. Posting inserts a transaction
+-- with the same id through apply_transaction() and then deletes the row here.
+
+CREATE TABLE IF NOT EXISTS scheduled_transactions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  owner_email TEXT NOT NULL,
+  account_id UUID REFERENCES accounts (id) ON DELETE CASCADE,
+  type TEXT CHECK (type IN ('income', 'expense')) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  description TEXT,
+  category TEXT,
+  date DATE NOT NULL,
+  time_of_day TIME,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_transactions_owner_email ON scheduled_transactions (owner_email);
+CREATE INDEX IF NOT EXISTS idx_scheduled_transactions_date ON scheduled_transactions (date);
+
+ALTER TABLE scheduled_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own scheduled transactions" ON scheduled_transactions
+  FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can insert their own scheduled transactions" ON scheduled_transactions
+  FOR INSERT WITH CHECK (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can update their own scheduled transactions" ON scheduled_transactions
+  FOR UPDATE USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can delete their own scheduled transactions" ON scheduled_transactions
+  FOR DELETE USING (owner_email = auth.jwt() ->> 'email');
@@ -0,0 +1,18 @@
+-- Recurrence rules for recurring payments
+--
+-- recurrence_rule holds an RRULE (RFC 5545 subset, see
+-- src/services/recurrence.js), e.g. 'FREQ=MONTHLY;BYDAY=2FR'. Occurrences are
+-- counted from start_date, so a payment on the 31st comes back to the 31st
+-- after a short month. frequency stays as a summary of the rule; payments
+-- without a rule keep following it as before.
+
+ALTER TABLE recurring_payments ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE recurring_payments ADD COLUMN IF NOT EXISTS start_date DATE;
+
+-- Rules can repeat daily
+ALTER TABLE recurring_payments DROP CONSTRAINT IF EXISTS recurring_payments_frequency_check;
+ALTER TABLE recurring_payments ADD CONSTRAINT recurring_payments_frequency_check
+  CHECK (frequency IN ('daily', 'weekly', 'monthly', 'quarterly', 'yearly'));
+
+-- Existing payments count from their current due date
+UPDATE recurring_payments SET start_date = next_date WHERE start_date IS NULL;
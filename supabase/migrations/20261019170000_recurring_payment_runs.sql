@@ -0,0 +1,39 @@
+-- Ending, pausing and skipping recurring payments, with a history of runs
+--
+-- A payment ends through COUNT or UNTIL in its recurrence_rule; once the last
+-- occurrence is posted or skipped its next_date becomes NULL. A paused payment
+-- is left alone by the catch-up; occurrences that fall while it is paused are
+-- recorded as skipped when it resumes.
+--
+-- recurring_payment_runs has one row per occurrence that was posted or
+-- skipped, and one per failed attempt. Posted and skipped runs use the id of
+-- the occurrence (see occurrenceId() in src/services/scheduler.js), so two
+-- tabs recording the same run store it once.
+
+ALTER TABLE recurring_payments ALTER COLUMN next_date DROP NOT NULL;
+ALTER TABLE recurring_payments ADD COLUMN IF NOT EXISTS paused BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS recurring_payment_runs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  owner_email TEXT NOT NULL,
+  payment_id UUID NOT NULL REFERENCES recurring_payments (id) ON DELETE CASCADE,
+  due_date DATE NOT NULL,
+  status TEXT CHECK (status IN ('posted', 'skipped', 'failed')) NOT NULL,
+  transaction_id UUID,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_payment_runs_owner_email ON recurring_payment_runs (owner_email);
+CREATE INDEX IF NOT EXISTS idx_recurring_payment_runs_payment ON recurring_payment_runs (payment_id, due_date);
+
+ALTER TABLE recurring_payment_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own recurring payment runs" ON recurring_payment_runs
+  FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can insert their own recurring payment runs" ON recurring_payment_runs
+  FOR INSERT WITH CHECK (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can delete their own recurring payment runs" ON recurring_payment_runs
+  FOR DELETE USING (owner_email = auth.jwt() ->> 'email');
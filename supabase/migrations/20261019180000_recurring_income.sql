@@ -0,0 +1,9 @@
+-- Recurring income
+--
+-- A recurring payment is either money going out (expense, the only kind
+-- before this migration) or coming in, like a salary or rent received. Its
+-- amount stays positive; the type decides the sign of the transactions it
+-- posts.
+
+ALTER TABLE recurring_payments ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'expense'
+  CHECK (type IN ('income', 'expense'));
@@ -0,0 +1,17 @@
+-- Recurring bill reminders
+--
+-- A bill with a recurrence_rule (same RRULE subset as recurring payments)
+-- repeats: paying it keeps the paid reminder as history and inserts the next
+-- one, due on the next date of the rule counted from start_date. Every
+-- reminder of a bill shares series_id, the id of the first reminder. The next
+-- reminder's id is derived from series_id and its due date.
+--
+-- paid_date and paid_amount record when a reminder was paid and how much.
+
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS start_date DATE;
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS series_id UUID;
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS paid_date DATE;
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(10,2);
+
+CREATE INDEX IF NOT EXISTS idx_bill_reminders_series_id ON bill_reminders (series_id);
@@ -0,0 +1,35 @@
+-- Partial and variable bill payments
+--
+-- A bill can be paid in several parts, each with its own amount and date.
+-- Every part is a row here, linked to the transaction it posted. The bill
+-- keeps the running total in paid_amount and the date of the latest part in
+-- paid_date; it is paid (is_paid) once the total reaches its amount, or
+-- earlier when the user settles it with a smaller final amount (a utility
+-- bill lower than expected).
+
+CREATE TABLE IF NOT EXISTS bill_payments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  owner_email TEXT NOT NULL,
+  bill_id UUID NOT NULL REFERENCES bill_reminders (id) ON DELETE CASCADE,
+  transaction_id UUID,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  date DATE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_payments_owner_email ON bill_payments (owner_email);
+CREATE INDEX IF NOT EXISTS idx_bill_payments_bill_id ON bill_payments (bill_id);
+
+ALTER TABLE bill_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own bill payments" ON bill_payments
+  FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can insert their own bill payments" ON bill_payments
+  FOR INSERT WITH CHECK (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can delete their own bill payments" ON bill_payments
+  FOR DELETE USING (owner_email = auth.jwt() ->> 'email');
+
+-- Bills paid before this migration were paid in full
+UPDATE bill_reminders SET paid_amount = amount WHERE is_paid AND paid_amount IS NULL;
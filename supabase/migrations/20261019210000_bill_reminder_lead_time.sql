@@ -0,0 +1,7 @@
+-- Per-bill reminder lead time
+--
+-- How many days before due_date the bill reminder notification is shown.
+-- NULL uses the lead time the user picked in Settings.
+
+ALTER TABLE bill_reminders ADD COLUMN IF NOT EXISTS remind_days_before INTEGER
+  CHECK (remind_days_before >= 0);
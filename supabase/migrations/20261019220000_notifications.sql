@@ -0,0 +1,37 @@
+-- In-app notification center
+--
+-- The feed behind the bell in the header: bills coming due, recurring
+-- payments posted automatically, low balances, writes that failed to sync and
+-- large transactions. Rows are created by the app and the service worker as
+-- they notice these events. Each id is derived from what the notification is
+-- about (e.g. one bill's due stage).
+--
+-- read_at is NULL while the notification is unread.
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  owner_email TEXT NOT NULL,
+  kind TEXT CHECK (kind IN ('bill_due', 'recurring_posted', 'low_balance', 'sync_failed', 'large_transaction')) NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  url TEXT,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_owner_email ON notifications (owner_email);
+CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications (created_at);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own notifications" ON notifications
+  FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can insert their own notifications" ON notifications
+  FOR INSERT WITH CHECK (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can update their own notifications" ON notifications
+  FOR UPDATE USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can delete their own notifications" ON notifications
+  FOR DELETE USING (owner_email = auth.jwt() ->> 'email');
@@ -1,6 +1,51 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      // Custom service worker so we can add our own handlers on top of the precache
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      registerType: 'autoUpdate',
+      injectRegister: false,
+      // Icons are generated from the bank logo at build time
+      pwaAssets: {
+        image: 'public/banklogoimage.png',
+        preset: 'minimal-2023',
+        overrideManifestIcons: true,
+      },
+      manifest: {
+        name: 'MyBank',
+        short_name: 'MyBank',
+        description: 'Personal banking app to track transactions, recurring payments and bills.',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        orientation: 'portrait',
+        theme_color: '#4f46e5', // indigo-600
+        background_color: '#4f46e5',
+        shortcuts: [
+          {
+            name: 'Add transaction',
+            short_name: 'Add',
+            url: '/?action=add-transaction',
+          },
+          {
+            name: 'Bills',
+            short_name: 'Bills',
+            url: '/?page=billReminders',
+          },
+        ],
+      },
+      injectManifest: {
+        globPatterns: ['**/*.{js,css,html,png,svg,ico,webmanifest}'],
+        // The main bundle is larger than workbox's 2 MiB default
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+      },
+    }),
+  ],
 })
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+// Unit tests for the services in src/services. Kept apart from vite.config.js
+// so the PWA plugin does not run for them.
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+  },
+})